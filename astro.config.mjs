@@ -3,14 +3,38 @@ import { defineConfig } from 'astro/config';
 
 import react from '@astrojs/react';
 import tailwindcss from '@tailwindcss/vite';
+import { defaultLocale, enabledLocaleCodes } from './src/i18n/locales.ts';
+
+// Server adapter, e.g. @astrojs/node. The deploy is static for now.
+const adapter = undefined;
+
+/**
+ * With an adapter "/" is rendered on demand, so src/middleware.ts can answer
+ * it with a locale-negotiated 302. Without one the page is prerendered and
+ * picks the locale in the browser (see src/pages/index.astro).
+ * @param {boolean} enabled
+ * @returns {import('astro').AstroIntegration}
+ */
+const onDemandLanding = (enabled) => ({
+  name: 'on-demand-landing',
+  hooks: {
+    'astro:route:setup': ({ route }) => {
+      if (enabled && route.component === 'src/pages/index.astro') route.prerender = false;
+    }
+  }
+});
 
 // https://astro.build/config
 export default defineConfig({
-  integrations: [react()],
+  site: 'https://runswiftstudio.ru',
+
+  adapter,
+
+  integrations: [react(), onDemandLanding(Boolean(adapter))],
 
   i18n: {
-    defaultLocale: 'ru',
-    locales: ['ru', 'en', 'de'],
+    defaultLocale,
+    locales: [...enabledLocaleCodes],
     routing: 'manual'
   },
 
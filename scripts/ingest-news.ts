@@ -0,0 +1,170 @@
+/**
+ * Validates and normalises news entries, e.g. the files the n8n pipeline
+ * generates, and prints a JSON report.
+ *
+ *   npm run ingest:news -- <file or directory>... [options]
+ *
+ *   --write      write accepted entries: new files go to --out-dir under a
+ *                name derived from the title, files already there are rewritten in place
+ *   --rename     also rename files already in --out-dir after their title (changes their URL)
+ *   --out-dir    target directory (default: src/content/news/<lang>)
+ *   --lang       locale for entries without `lang` (default: the default locale)
+ *   --report     write the report to this file instead of stdout
+ *
+ * Exit code: 0 when every entry is accepted, 1 when any is rejected, 2 on
+ * usage or I/O errors. Rejected entries are never written.
+ */
+import { mkdir, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { dirname, join, relative, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import yaml from 'js-yaml';
+import { defaultLocale, isEnabledLocale } from '../src/i18n/locales';
+import { ingestNewsEntry, type IngestChange, type IngestIssue, type NewsEntry } from '../src/lib/newsIngest';
+
+interface ReportEntry {
+  input: string;
+  status: 'accepted' | 'rejected';
+  /** Where the entry is (or would be) written */
+  output?: string;
+  written: boolean;
+  changes: IngestChange[];
+  issues: IngestIssue[];
+}
+
+interface Report {
+  ok: boolean;
+  summary: { checked: number; accepted: number; rejected: number; written: number };
+  entries: ReportEntry[];
+}
+
+class UsageError extends Error {}
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+
+function parseEntry(source: string): NewsEntry {
+  const match = FRONTMATTER.exec(source);
+  if (!match) throw new Error('no YAML frontmatter');
+  const data = yaml.load(match[1]);
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) throw new Error('frontmatter is not a mapping');
+  return { data: data as Record<string, unknown>, body: match[2] };
+}
+
+const serializeEntry = ({ data, body }: NewsEntry): string =>
+  `---\n${yaml.dump(data, { lineWidth: -1 })}---\n\n${body}`;
+
+async function collectFiles(paths: string[]): Promise<string[]> {
+  const files: string[] = [];
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      const names = await readdir(path, { recursive: true });
+      files.push(...names.filter((name) => name.endsWith('.md')).sort().map((name) => join(path, name)));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+async function main(): Promise<number> {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      write: { type: 'boolean', default: false },
+      rename: { type: 'boolean', default: false },
+      'out-dir': { type: 'string' },
+      lang: { type: 'string', default: defaultLocale },
+      report: { type: 'string' },
+    },
+  });
+
+  if (positionals.length === 0) throw new UsageError('no input files; usage: ingest-news <file or directory>... [--write]');
+  if (!isEnabledLocale(values.lang)) throw new UsageError(`--lang ${values.lang} is not an enabled locale`);
+
+  const entries: ReportEntry[] = [];
+  // Output paths claimed in this run, to catch two inputs with the same title
+  const claimed = new Map<string, string>();
+
+  for (const file of await collectFiles(positionals)) {
+    const input = relative(process.cwd(), file);
+    let raw: NewsEntry;
+    try {
+      raw = parseEntry(await readFile(file, 'utf8'));
+    } catch (error) {
+      entries.push({ input, status: 'rejected', written: false, changes: [], issues: [{ path: 'file', code: 'unparsable', message: (error as Error).message }] });
+      continue;
+    }
+
+    const result = ingestNewsEntry(raw, { lang: values.lang });
+    const issues = [...result.issues];
+    const lang = String(result.entry.data.lang);
+    const outDir = resolve(values['out-dir'] ?? join('src/content/news', lang));
+    const isInOutDir = dirname(resolve(file)) === outDir;
+
+    let output: string | undefined;
+    if (isInOutDir && !values.rename) {
+      output = resolve(file);
+    } else if (result.slug === '') {
+      issues.push({ path: 'file', code: 'no-slug', message: 'the title gives no file name' });
+    } else {
+      output = join(outDir, `${result.slug}.md`);
+      const exists = await stat(output).then(() => true, () => false);
+      if (claimed.has(output)) {
+        issues.push({ path: 'file', code: 'duplicate', message: `same file name as ${claimed.get(output)}` });
+      } else if (exists && output !== resolve(file)) {
+        issues.push({ path: 'file', code: 'exists', message: `${relative(process.cwd(), output)} already exists` });
+      }
+    }
+    if (output) claimed.set(output, input);
+
+    const accepted = issues.length === 0;
+    let written = false;
+    if (accepted && values.write && output) {
+      await mkdir(dirname(output), { recursive: true });
+      await writeFile(output, serializeEntry(result.entry));
+      // A rename within the collection: the old name must not stay behind as a second entry
+      if (isInOutDir && output !== resolve(file)) await rm(file);
+      written = true;
+    }
+
+    entries.push({
+      input,
+      status: accepted ? 'accepted' : 'rejected',
+      output: output && relative(process.cwd(), output),
+      written,
+      changes: result.changes,
+      issues,
+    });
+  }
+
+  const rejected = entries.filter((entry) => entry.status === 'rejected').length;
+  const report: Report = {
+    ok: rejected === 0,
+    summary: {
+      checked: entries.length,
+      accepted: entries.length - rejected,
+      rejected,
+      written: entries.filter((entry) => entry.written).length,
+    },
+    entries,
+  };
+
+  const json = `${JSON.stringify(report, null, 2)}\n`;
+  if (values.report) await writeFile(values.report, json);
+  else process.stdout.write(json);
+
+  for (const entry of entries.filter((item) => item.status === 'rejected')) {
+    console.error(`✗ ${entry.input}: ${entry.issues.map((issue) => `${issue.path}: ${issue.message}`).join('; ')}`);
+  }
+  console.error(`${report.summary.accepted}/${report.summary.checked} accepted, ${report.summary.written} written`);
+
+  return report.ok ? 0 : 1;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error: NodeJS.ErrnoException) => {
+    const isUsage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS') || error.code === 'ENOENT';
+    console.error(isUsage ? error.message : error);
+    process.exit(2);
+  }
+);
@@ -0,0 +1,48 @@
+import React from 'react';
+import { t, type TranslationKey } from '../i18n';
+import PreferenceToggle from './PreferenceToggle';
+import useMotion from '../hooks/useMotion';
+import type { MotionPreference } from '../theme/motion';
+
+const options: { value: MotionPreference; label: TranslationKey; icon: React.ReactNode }[] = [
+  {
+    value: 'full',
+    label: 'motion.full',
+    icon: (
+      <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+    ),
+  },
+  {
+    value: 'reduce',
+    label: 'motion.reduce',
+    icon: (
+      <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zM7 8a1 1 0 012 0v4a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v4a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+    ),
+  },
+  {
+    value: 'system',
+    label: 'motion.system',
+    icon: (
+      <path fillRule="evenodd" d="M3 5a2 2 0 012-2h10a2 2 0 012 2v8a2 2 0 01-2 2h-2.22l.123.489.804.804A1 1 0 0113 18H7a1 1 0 01-.707-1.707l.804-.804L7.22 15H5a2 2 0 01-2-2V5zm5.771 7H5V5h10v7H8.771z" clipRule="evenodd" />
+    ),
+  },
+];
+
+interface Props {
+  lang: string;
+}
+
+const MotionToggle: React.FC<Props> = ({ lang }) => {
+  const { preference, setMotion } = useMotion();
+
+  return (
+    <PreferenceToggle
+      label={t(lang, 'motion.label')}
+      options={options.map((option) => ({ ...option, label: t(lang, option.label) }))}
+      value={preference}
+      onChange={setMotion}
+    />
+  );
+};
+
+export default MotionToggle;
@@ -0,0 +1,52 @@
+import React from 'react';
+
+export interface PreferenceOption<P extends string> {
+  value: P;
+  label: string;
+  icon: React.ReactNode;
+}
+
+interface Props<P extends string> {
+  label: string;
+  options: PreferenceOption<P>[];
+  value: P;
+  onChange: (value: P) => void;
+}
+
+/**
+ * Radio group for the preferences in src/theme (theme, motion): one icon
+ * button per option. Labels come in already translated.
+ */
+const PreferenceToggle = <P extends string>({ label, options, value, onChange }: Props<P>) => (
+  <div
+    role="radiogroup"
+    aria-label={label}
+    className="flex items-center gap-1 p-1 rounded-full bg-gray-200 dark:bg-gray-700"
+  >
+    {options.map((option) => {
+      const isActive = value === option.value;
+      return (
+        <button
+          key={option.value}
+          type="button"
+          role="radio"
+          aria-checked={isActive}
+          aria-label={option.label}
+          title={option.label}
+          onClick={() => onChange(option.value)}
+          className={`p-1.5 rounded-full transition-colors ${
+            isActive
+              ? 'bg-white dark:bg-gray-900 text-[var(--color-accent-primary)] shadow-sm'
+              : 'text-gray-500 hover:text-gray-800 dark:hover:text-gray-200'
+          }`}
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+            {option.icon}
+          </svg>
+        </button>
+      );
+    })}
+  </div>
+);
+
+export default PreferenceToggle;
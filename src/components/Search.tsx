@@ -0,0 +1,220 @@
+import React, { useCallback, useEffect, useId, useMemo, useRef, useState } from 'react';
+import { formatDate, t, type TranslationKey } from '../i18n';
+import { indexTags, search, type SearchIndex, type TextPart } from '../lib/search';
+
+interface Props {
+  lang: string;
+}
+
+type IndexState =
+  | { status: 'idle' | 'loading' | 'error' }
+  | { status: 'ready'; index: SearchIndex };
+
+// Индекс строится при сборке (src/pages/[lang]/search.json.ts) и грузится при первом открытии
+const indexCache = new Map<string, Promise<SearchIndex>>();
+
+const loadIndex = (lang: string): Promise<SearchIndex> => {
+  let promise = indexCache.get(lang);
+  if (!promise) {
+    promise = fetch(`/${lang}/search.json`).then((response) => {
+      if (!response.ok) throw new Error(`Search index: HTTP ${response.status}`);
+      return response.json() as Promise<SearchIndex>;
+    });
+    // После ошибки следующее открытие пробует снова
+    promise.catch(() => indexCache.delete(lang));
+    indexCache.set(lang, promise);
+  }
+  return promise;
+};
+
+const isEditable = (target: EventTarget | null) =>
+  target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+
+const collections: { value: string; label: TranslationKey }[] = [
+  { value: '', label: 'search.all' },
+  { value: 'blog', label: 'nav.blog' },
+  { value: 'news', label: 'nav.news' },
+];
+
+const Highlighted: React.FC<{ parts: TextPart[] }> = ({ parts }) => (
+  <>
+    {parts.map((part, i) =>
+      part.match ? (
+        <mark key={i} className="bg-[var(--color-accent-primary)]/30 text-inherit rounded-sm">{part.text}</mark>
+      ) : (
+        <React.Fragment key={i}>{part.text}</React.Fragment>
+      )
+    )}
+  </>
+);
+
+const Search: React.FC<Props> = ({ lang }) => {
+  const dialogRef = useRef<HTMLDialogElement>(null);
+  const [state, setState] = useState<IndexState>({ status: 'idle' });
+  const [query, setQuery] = useState('');
+  const [collection, setCollection] = useState('');
+  const [tag, setTag] = useState('');
+  const [active, setActive] = useState(0);
+  const id = useId();
+
+  const open = useCallback(() => {
+    dialogRef.current?.showModal();
+    setState((current) => (current.status === 'ready' ? current : { status: 'loading' }));
+    loadIndex(lang).then(
+      (index) => setState({ status: 'ready', index }),
+      () => setState({ status: 'error' })
+    );
+  }, [lang]);
+
+  // «/» вне полей ввода или Ctrl+K / ⌘K в любом месте страницы
+  useEffect(() => {
+    const onKeyDown = (event: KeyboardEvent) => {
+      const isShortcut =
+        (event.key === '/' && !event.ctrlKey && !event.metaKey && !event.altKey && !isEditable(event.target)) ||
+        ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k');
+      if (!isShortcut || dialogRef.current?.open) return;
+      event.preventDefault();
+      open();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [open]);
+
+  const index = state.status === 'ready' ? state.index : undefined;
+  const tags = useMemo(() => (index ? indexTags(index) : []), [index]);
+  const hasInput = query.trim() !== '' || collection !== '' || tag !== '';
+  // results – первые 20 совпадений, total – все, для счётчика
+  const { results, total } = useMemo(
+    () => (index && hasInput ? search(index, query, { collection, tag }) : { results: [], total: 0 }),
+    [index, hasInput, query, collection, tag]
+  );
+
+  useEffect(() => setActive(0), [results]);
+
+  // Клик по затемнению вокруг окна попадает в сам <dialog>
+  const closeOnBackdrop = (event: React.MouseEvent<HTMLDialogElement>) => {
+    if (event.target === dialogRef.current) dialogRef.current.close();
+  };
+
+  const optionId = (i: number) => `${id}-option-${i}`;
+
+  const onInputKeyDown = (event: React.KeyboardEvent<HTMLInputElement>) => {
+    if (results.length === 0) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const next = (active + (event.key === 'ArrowDown' ? 1 : results.length - 1)) % results.length;
+      setActive(next);
+      document.getElementById(optionId(next))?.scrollIntoView({ block: 'nearest' });
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      window.location.assign(results[active].doc.url);
+    }
+  };
+
+  let status = '';
+  if (state.status === 'loading') status = t(lang, 'search.loading');
+  else if (state.status === 'error') status = t(lang, 'search.error');
+  else if (hasInput) status = total > 0 ? t(lang, 'search.results', { count: total }) : t(lang, 'search.empty');
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={open}
+        aria-haspopup="dialog"
+        aria-keyshortcuts="/ Control+K Meta+K"
+        aria-label={t(lang, 'search.open')}
+        className="flex items-center gap-2 px-3 py-1 rounded border border-[var(--color-border)] text-[var(--color-text-secondary)] hover:text-[var(--color-accent-primary)] transition-colors"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+          <path fillRule="evenodd" d="M8 4a4 4 0 100 8 4 4 0 000-8zM2 8a6 6 0 1110.89 3.476l4.817 4.817a1 1 0 01-1.414 1.414l-4.816-4.816A6 6 0 012 8z" clipRule="evenodd" />
+        </svg>
+        <span className="hidden lg:inline">{t(lang, 'search.open')}</span>
+        <kbd className="hidden lg:inline px-1.5 rounded border border-[var(--color-border)] text-xs font-sans">/</kbd>
+      </button>
+
+      <dialog
+        ref={dialogRef}
+        aria-label={t(lang, 'search.open')}
+        onClick={closeOnBackdrop}
+        className="mx-auto mt-[10vh] w-[calc(100%-2rem)] max-w-2xl max-h-[80vh] p-0 rounded-2xl border border-[var(--color-border)] bg-[var(--color-bg-secondary)] text-[var(--color-text-primary)] backdrop:bg-black/60 backdrop:backdrop-blur-sm"
+      >
+        <div className="flex flex-col max-h-[80vh]">
+          <div className="flex items-center gap-3 p-4 border-b border-[var(--color-border)]">
+            <input
+              type="search"
+              role="combobox"
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+              onKeyDown={onInputKeyDown}
+              placeholder={t(lang, 'search.placeholder')}
+              aria-label={t(lang, 'search.placeholder')}
+              aria-expanded={results.length > 0}
+              aria-controls={`${id}-results`}
+              aria-activedescendant={results.length > 0 ? optionId(active) : undefined}
+              aria-autocomplete="list"
+              className="flex-1 bg-transparent text-lg outline-none"
+            />
+            <button type="button" onClick={() => dialogRef.current?.close()} className="text-sm text-[var(--color-text-secondary)] hover:text-[var(--color-accent-primary)]">
+              {t(lang, 'search.close')}
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 px-4 py-3 border-b border-[var(--color-border)] text-sm">
+            <div role="radiogroup" aria-label={t(lang, 'search.collection')} className="flex gap-1">
+              {collections.map(({ value, label }) => (
+                <button
+                  key={value}
+                  type="button"
+                  role="radio"
+                  aria-checked={collection === value}
+                  onClick={() => setCollection(value)}
+                  className={`px-3 py-1 rounded-full transition-colors ${
+                    collection === value ? 'bg-[var(--color-accent-primary)] text-[var(--color-bg-primary)]' : 'hover:text-[var(--color-accent-primary)]'
+                  }`}
+                >
+                  {t(lang, label)}
+                </button>
+              ))}
+            </div>
+            <select
+              value={tag}
+              onChange={(event) => setTag(event.target.value)}
+              aria-label={t(lang, 'articles.tags')}
+              className="ml-auto px-2 py-1 rounded border border-[var(--color-border)] bg-[var(--color-bg-primary)]"
+            >
+              <option value="">{t(lang, 'search.allTags')}</option>
+              {tags.map(({ slug, label }) => <option key={slug} value={slug}>#{label}</option>)}
+            </select>
+          </div>
+
+          <p aria-live="polite" className="px-4 pt-3 text-sm text-[var(--color-text-secondary)] empty:hidden">{status}</p>
+
+          <ul id={`${id}-results`} role="listbox" aria-label={t(lang, 'search.open')} className="overflow-y-auto p-2">
+            {results.map(({ doc, title, snippet }, i) => (
+              <li
+                key={doc.url}
+                id={optionId(i)}
+                role="option"
+                aria-selected={i === active}
+                onMouseMove={() => setActive(i)}
+                className={`rounded-xl ${i === active ? 'bg-[var(--color-bg-primary)]' : ''}`}
+              >
+                <a href={doc.url} tabIndex={-1} className="block p-3">
+                  <span className="flex items-center gap-2 text-xs text-[var(--color-text-secondary)]">
+                    <span className="uppercase tracking-wider">{t(lang, doc.collection === 'blog' ? 'nav.blog' : 'nav.news')}</span>
+                    <time dateTime={doc.date}>{formatDate(lang, new Date(doc.date))}</time>
+                  </span>
+                  <span className="block font-bold"><Highlighted parts={title} /></span>
+                  <span className="block text-sm text-[var(--color-text-secondary)]"><Highlighted parts={snippet} /></span>
+                </a>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </dialog>
+    </>
+  );
+};
+
+export default Search;
@@ -1,39 +1,46 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { Suspense, lazy, useEffect, useRef, useState } from 'react';
 import gsap from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
 import InteractiveNetwork from './InteractiveNetwork';
+import SplitText from './SplitText';
 import useFallingLetters from '../../hooks/useFallingLetters';
+import useTheme from '../../hooks/useTheme';
+import { t } from '../../i18n';
+import { getHeroPreset } from '../../presets/hero';
 
 if (typeof window !== 'undefined') {
   gsap.registerPlugin(ScrollTrigger);
 }
 
-const Hero = () => {
+// В production import.meta.env.DEV === false, и панель вместе с импортом вырезается из сборки
+const HeroTuningPanel = import.meta.env.DEV ? lazy(() => import('./HeroTuningPanel')) : null;
+
+/**
+ * preset – имя пресета эффектов из src/presets/hero ('calm' | 'default' | 'festive').
+ * interactive – реакция комет на курсор; по умолчанию берётся из пресета
+ * (в default выключена, страница включает её явно).
+ */
+const Hero = ({ lang, preset = 'default', interactive }) => {
   const containerRef = useRef(null);
   const titleRef = useRef(null);
-  const [isDark, setIsDark] = useState(true);
+  // 1. Тема из общего стора
+  const { theme } = useTheme();
+  const isDark = theme !== 'light';
+
+  // 2. Параметры эффектов: пресет или (в dev) значения из панели настройки
+  const presetValues = getHeroPreset(preset);
+  const [tuned, setTuned] = useState(null);
+  const { network, letters } = tuned || presetValues;
 
-  // 1. THEME OBSERVER
+  // Панель рендерится только на клиенте, чтобы не расходиться с SSR-разметкой
+  const [showTuningPanel, setShowTuningPanel] = useState(false);
   useEffect(() => {
-    const checkTheme = () => {
-      const theme = document.documentElement.getAttribute('data-theme');
-      setIsDark(theme !== 'light');
-    };
-    checkTheme();
-    const observer = new MutationObserver(checkTheme);
-    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
-    return () => observer.disconnect();
+    if (HeroTuningPanel) setShowTuningPanel(true);
   }, []);
 
-  // 2. Используем хук для анимации падающих букв (вход + скролл)
-  useFallingLetters(titleRef, containerRef, {
-    entranceDelay: 0.6,
-    staggerDelay: 0.05,
-    fallDistance: 300,
-    maxHorizontalDrift: 150,
-    maxRotation: 120,
-    scrub: 0.5,
-  });
+  // 3. Используем хук для анимации падающих букв (вход + скролл);
+  // splitBy и язык те же, что у SplitText ниже, чтобы при их смене эффект перезапускался
+  useFallingLetters(titleRef, containerRef, { ...letters, locale: lang });
 
   return (
     <section
@@ -45,62 +52,45 @@ const Hero = () => {
       }`}
     >
       {/* Интерактивная сеть комет */}
-      <InteractiveNetwork
-        canvasId="heroInteractiveNetwork"
-        numPoints={800}
-        pointRadius={1.5}
-        pointColor="rgba(133, 141, 148, 0)"
-        connectDistance={500}
-        lineColors={[
-          'rgba(255, 127, 80, 0.8)',
-          'rgba(66, 181, 239, 0.7)',
-          'rgba(219, 35, 239, 0.7)',
-          'rgba(234, 234, 234, 0.6)',
-        ]}
-        lineWidthStart={2.5}
-        cometTailLength={7.35}
-        lineAnimationDuration={2.8}
-        explosionMaxRadiusFactor={20}
-        explosionDuration={0.9}
-        maxActiveLines={20}
-      />
+      <InteractiveNetwork canvasId="heroInteractiveNetwork" {...network} interactive={interactive ?? network.interactive} />
 
       <div className="relative z-10 flex flex-col items-center justify-center">
-        <h1 ref={titleRef} className="flex flex-wrap justify-center font-black leading-none select-none">
+        {/* Буквы разбиты на span'ы, поэтому имя заголовка задаём целиком, а сами буквы скрываем от скринридеров */}
+        <h1 ref={titleRef} aria-label="RUNSWIFT STUDIO" className="flex flex-wrap justify-center font-black leading-none select-none">
           {/* RUNSWIFT (Белый + Белая обводка + Белое свечение) */}
-          {"RUNSWIFT".split("").map((char, i) => (
-            <span key={`r-${i}`}
-              className={`letter inline-block text-[10vw] md:text-[8rem] lg:text-[9rem] ${isDark ? 'text-white' : 'text-slate-900'}`}
-              style={{
-                // Четкая обводка (разделяет буквы)
-                WebkitTextStroke: isDark ? '1px rgba(255, 255, 255, 0.5)' : '0px',
-                // Двойное свечение: яркий контур + мягкий свет
-                textShadow: isDark
-                  ? '0 0 10px rgba(255,255,255,0.8), 0 0 40px rgba(255,255,255,0.3)'
-                  : 'none'
-              }}>
-              {char}
-            </span>
-          ))}
-          
+          <SplitText
+            text="RUNSWIFT"
+            by={letters.splitBy}
+            locale={lang}
+            unitClassName={`inline-block text-[10vw] md:text-[8rem] lg:text-[9rem] ${isDark ? 'text-white' : 'text-slate-900'}`}
+            unitStyle={{
+              // Четкая обводка (разделяет буквы)
+              WebkitTextStroke: isDark ? '1px rgba(255, 255, 255, 0.5)' : '0px',
+              // Двойное свечение: яркий контур + мягкий свет
+              textShadow: isDark
+                ? '0 0 10px rgba(255,255,255,0.8), 0 0 40px rgba(255,255,255,0.3)'
+                : 'none'
+            }}
+          />
+
           {/* Пробел */}
-          <span className="inline-block w-[2vw] md:w-[2rem]"></span>
+          <span aria-hidden="true" className="inline-block w-[2vw] md:w-[2rem]"></span>
 
           {/* STUDIO (Оранжевый + Белая обводка + Оранжевое свечение) */}
-          {"STUDIO".split("").map((char, i) => (
-            <span key={`s-${i}`}
-              className="letter inline-block text-[10vw] md:text-[8rem] lg:text-[9rem] text-[#ff6d5a]"
-              style={{
-                // Обводка сохраняет форму букв
-                WebkitTextStroke: isDark ? '1px rgba(255, 255, 255, 0.5)' : '0px',
-                // Оранжевое свечение
-                textShadow: isDark
-                  ? '0 0 10px rgba(255, 109, 90, 0.6), 0 0 40px rgba(255, 109, 90, 0.4)'
-                  : 'none'
-              }}>
-              {char}
-            </span>
-          ))}
+          <SplitText
+            text="STUDIO"
+            by={letters.splitBy}
+            locale={lang}
+            unitClassName="inline-block text-[10vw] md:text-[8rem] lg:text-[9rem] text-[#ff6d5a]"
+            unitStyle={{
+              // Обводка сохраняет форму букв
+              WebkitTextStroke: isDark ? '1px rgba(255, 255, 255, 0.5)' : '0px',
+              // Оранжевое свечение
+              textShadow: isDark
+                ? '0 0 10px rgba(255, 109, 90, 0.6), 0 0 40px rgba(255, 109, 90, 0.4)'
+                : 'none'
+            }}
+          />
         </h1>
 
         <p
@@ -108,9 +98,15 @@ const Hero = () => {
             isDark ? 'text-white/60' : 'text-slate-500'
           }`}
         >
-          Современные решения для вашего бизнеса
+          {t(lang, 'hero.subtitle')}
         </p>
       </div>
+
+      {showTuningPanel && (
+        <Suspense fallback={null}>
+          <HeroTuningPanel name={preset} preset={presetValues} onChange={setTuned} />
+        </Suspense>
+      )}
     </section>
   );
 };
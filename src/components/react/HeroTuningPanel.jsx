@@ -0,0 +1,254 @@
+import React, { useEffect, useState } from 'react';
+import { FALLING_LETTERS_DEFAULTS } from '../../hooks/useFallingLetters';
+import { DEFAULT_OPTIONS } from '../../lib/cometNetwork/simulation';
+
+/**
+ * HeroTuningPanel – панель живой настройки эффектов hero, только для `astro dev`.
+ * Hero подключает её через import.meta.env.DEV и динамический import, поэтому
+ * в production-сборку она не попадает.
+ *
+ * Показывает все параметры сети комет и падающих букв (значения пресета поверх
+ * значений по умолчанию), FPS основного потока и выгружает текущие значения
+ * в JSON того же формата, что и файлы в src/presets/hero.
+ */
+
+// [min, max, step] для ползунков; параметры без диапазона редактируются полем ввода
+const RANGES = {
+  numPoints: [20, 2000, 10],
+  pointRadius: [0, 5, 0.1],
+  connectDistance: [50, 1000, 10],
+  lineWidthStart: [0.5, 8, 0.1],
+  cometTailLength: [0.05, 10, 0.05],
+  lineAnimationDuration: [0.3, 8, 0.1],
+  spawnInterval: [0.05, 3, 0.05],
+  spawnDelay: [0, 5, 0.1],
+  pathCurvature: [-1, 1, 0.05],
+  chainHops: [1, 10, 1],
+  trailLength: [2, 120, 1],
+  explosionMaxRadiusFactor: [1, 60, 1],
+  explosionDuration: [0.1, 3, 0.05],
+  sparkCount: [1, 40, 1],
+  maxActiveLines: [1, 80, 1],
+  paletteTransitionDuration: [0, 3, 0.1],
+  pointerRadius: [10, 400, 5],
+  pointerStrength: [0, 100, 1],
+  pointerSpawnInterval: [0.05, 2, 0.05],
+  clickBurstSize: [0, 20, 1],
+  frameBudget: [8, 50, 1],
+  maxPixelRatio: [1, 3, 0.25],
+  entranceDelay: [0, 3, 0.05],
+  staggerDelay: [0, 0.3, 0.01],
+  fallDistance: [0, 1000, 10],
+  maxHorizontalDrift: [0, 600, 10],
+  maxRotation: [0, 720, 5],
+  scrub: [0, 3, 0.1],
+};
+
+const CHOICES = {
+  pathType: ['straight', 'curve', 'chain'],
+  trailType: ['gradient', 'history'],
+  explosionType: ['radial', 'ring', 'sparks'],
+  linkWeighting: ['uniform', 'short', 'long'],
+  pointerMode: ['repel', 'attract'],
+  effect: ['fall', 'scatter', 'explode'],
+  splitBy: ['grapheme', 'word', 'line'],
+};
+
+// Всё, что принимает InteractiveNetwork, кроме палитр
+const NETWORK_DEFAULTS = { ...DEFAULT_OPTIONS, interactive: false, maxPixelRatio: 2 };
+
+const THEMES = ['dark', 'light'];
+
+// FPS основного потока: при работе сети в worker это лишь ориентир
+const useFps = () => {
+  const [fps, setFps] = useState(0);
+
+  useEffect(() => {
+    let frame = 0;
+    let frames = 0;
+    let since = performance.now();
+
+    const count = (time) => {
+      frames++;
+      if (time - since >= 500) {
+        setFps(Math.round((frames * 1000) / (time - since)));
+        frames = 0;
+        since = time;
+      }
+      frame = requestAnimationFrame(count);
+    };
+    frame = requestAnimationFrame(count);
+
+    return () => cancelAnimationFrame(frame);
+  }, []);
+
+  return fps;
+};
+
+const Field = ({ name, value, onChange }) => {
+  const label = <span className="truncate" title={name}>{name}</span>;
+
+  if (CHOICES[name]) {
+    return (
+      <label className="grid grid-cols-[9rem_1fr] items-center gap-2">
+        {label}
+        <select className="bg-slate-800 rounded px-1" value={value} onChange={(event) => onChange(event.target.value)}>
+          {CHOICES[name].map((choice) => <option key={choice} value={choice}>{choice}</option>)}
+        </select>
+      </label>
+    );
+  }
+
+  if (typeof value === 'boolean') {
+    return (
+      <label className="grid grid-cols-[9rem_1fr] items-center gap-2">
+        {label}
+        <input type="checkbox" checked={value} onChange={(event) => onChange(event.target.checked)} />
+      </label>
+    );
+  }
+
+  if (RANGES[name]) {
+    const [min, max, step] = RANGES[name];
+    return (
+      <label className="grid grid-cols-[9rem_1fr_3.5rem] items-center gap-2">
+        {label}
+        <input type="range" min={min} max={max} step={step} value={value}
+          onChange={(event) => onChange(Number(event.target.value))} />
+        <span className="text-right tabular-nums">{value}</span>
+      </label>
+    );
+  }
+
+  // seed, pointColor и прочие свободные значения
+  const isNumeric = name === 'seed' || typeof value === 'number';
+  return (
+    <label className="grid grid-cols-[9rem_1fr] items-center gap-2">
+      {label}
+      <input className="bg-slate-800 rounded px-1" type={isNumeric ? 'number' : 'text'} value={value ?? ''}
+        onChange={(event) => {
+          const raw = event.target.value;
+          onChange(isNumeric ? (raw === '' ? undefined : Number(raw)) : raw);
+        }} />
+    </label>
+  );
+};
+
+const PaletteEditor = ({ palettes, onChange }) => (
+  <>
+    {THEMES.map((theme) => (
+      <fieldset key={theme} className="flex flex-col gap-1">
+        <legend className="opacity-60">palettes.{theme}</legend>
+        {(palettes[theme] || []).map((color, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <span className="inline-block w-4 h-4 rounded-sm shrink-0" style={{ background: color }} />
+            <input className="bg-slate-800 rounded px-1 flex-1" value={color}
+              onChange={(event) => {
+                const next = [...palettes[theme]];
+                next[i] = event.target.value;
+                onChange({ ...palettes, [theme]: next });
+              }} />
+            <button type="button" aria-label="Удалить цвет"
+              onClick={() => onChange({ ...palettes, [theme]: palettes[theme].filter((_, j) => j !== i) })}>×</button>
+          </div>
+        ))}
+        <button type="button" className="self-start opacity-60 hover:opacity-100"
+          onClick={() => onChange({ ...palettes, [theme]: [...(palettes[theme] || []), 'rgba(255, 255, 255, 0.6)'] })}>
+          + цвет
+        </button>
+      </fieldset>
+    ))}
+  </>
+);
+
+// Только изменённые относительно значений по умолчанию параметры и ключи самого пресета
+const compact = (values, presetValues, defaults) => Object.fromEntries(
+  Object.entries(values).filter(([key, value]) =>
+    value !== undefined && (key in presetValues || value !== defaults[key])
+  )
+);
+
+const toPresetJson = (preset, network, letters) => JSON.stringify({
+  network: compact(network, preset.network, NETWORK_DEFAULTS),
+  letters: compact(letters, preset.letters, FALLING_LETTERS_DEFAULTS),
+}, null, 2) + '\n';
+
+const initialNetwork = (preset) => ({ ...NETWORK_DEFAULTS, ...preset.network });
+const initialLetters = (preset) => ({ ...FALLING_LETTERS_DEFAULTS, ...preset.letters });
+
+const HeroTuningPanel = ({ name, preset, onChange }) => {
+  const fps = useFps();
+  const [network, setNetwork] = useState(() => initialNetwork(preset));
+  const [letters, setLetters] = useState(() => initialLetters(preset));
+  const [copied, setCopied] = useState(false);
+
+  // Новый пресет (смена prop) сбрасывает правки
+  useEffect(() => {
+    setNetwork(initialNetwork(preset));
+    setLetters(initialLetters(preset));
+  }, [preset]);
+
+  // onChange – сеттер состояния Hero, он не меняется между рендерами
+  useEffect(() => {
+    onChange({ network, letters });
+  }, [onChange, network, letters]);
+
+  const json = toPresetJson(preset, network, letters);
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(json);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <details className="fixed bottom-4 right-4 z-50 w-96 max-h-[80vh] overflow-auto rounded-lg bg-slate-900/90 text-white text-xs p-3 shadow-xl backdrop-blur">
+      <summary className="cursor-pointer select-none flex justify-between gap-2">
+        <span>Hero: {name}</span>
+        <span className="tabular-nums">{fps} FPS</span>
+      </summary>
+
+      <div className="flex flex-col gap-3 mt-3">
+        <section className="flex flex-col gap-1">
+          <h2 className="font-bold">network</h2>
+          {Object.entries(network).filter(([key]) => key !== 'palettes').map(([key, value]) => (
+            <Field key={key} name={key} value={value} onChange={(next) => setNetwork({ ...network, [key]: next })} />
+          ))}
+          <PaletteEditor palettes={network.palettes || {}} onChange={(palettes) => setNetwork({ ...network, palettes })} />
+        </section>
+
+        <section className="flex flex-col gap-1">
+          <h2 className="font-bold">letters</h2>
+          {Object.entries(letters).map(([key, value]) => (
+            <Field key={key} name={key} value={value} onChange={(next) => setLetters({ ...letters, [key]: next })} />
+          ))}
+        </section>
+
+        <div className="flex gap-2">
+          <button type="button" className="rounded bg-slate-700 px-2 py-1" onClick={copy}>
+            {copied ? 'Скопировано' : 'Копировать JSON'}
+          </button>
+          <button type="button" className="rounded bg-slate-700 px-2 py-1" onClick={download}>Скачать {name}.json</button>
+          <button type="button" className="rounded bg-slate-700 px-2 py-1 ml-auto"
+            onClick={() => {
+              setNetwork(initialNetwork(preset));
+              setLetters(initialLetters(preset));
+            }}>
+            Сбросить
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default HeroTuningPanel;
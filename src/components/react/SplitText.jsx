@@ -0,0 +1,37 @@
+import React, { useMemo } from 'react';
+import { splitText } from '../../lib/splitText';
+
+/**
+ * SplitText – текст, разбитый на анимируемые span'ы силами React (без правки DOM
+ * снаружи), для useFallingLetters и подобных эффектов.
+ *
+ * by – 'grapheme' (по умолчанию; эмодзи и диакритика не разваливаются) | 'word' |
+ * 'line' (по переводам строк). Каждая единица – <span class="letter"> с aria-hidden,
+ * пробелы – дополнительно letter--space и не анимируются.
+ * Имя для скринридеров (aria-label с полной фразой) задаёт родительский элемент.
+ *
+ * unitClassName / unitStyle – классы и стили каждой единицы.
+ */
+const SplitText = ({ text, by = 'grapheme', locale, unitClassName = '', unitStyle }) => {
+  const segments = useMemo(() => splitText(text, { by, locale }), [text, by, locale]);
+
+  // Ключ зависит от разбиения: при смене by/locale span'ы создаются заново,
+  // без инлайн-стилей, оставшихся от анимаций прежнего разбиения
+  return segments.map(({ text: unit, isSpace }, i) => (
+    <span
+      key={`${by}:${locale ?? ''}:${i}`}
+      aria-hidden="true"
+      className={['letter', isSpace && 'letter--space', unitClassName].filter(Boolean).join(' ')}
+      style={{
+        // Пробел в inline-block span иначе схлопывается
+        whiteSpace: isSpace ? 'pre' : undefined,
+        display: by === 'line' ? 'block' : undefined,
+        ...unitStyle,
+      }}
+    >
+      {unit}
+    </span>
+  ));
+};
+
+export default SplitText;
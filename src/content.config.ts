@@ -0,0 +1,21 @@
+/**
+ * Blog and news collections. Entries live in one folder per locale
+ * (src/content/blog/ru/post.md) and name their locale in `lang`; variants of
+ * one article share a `translationKey`, which defaults to the file name.
+ * The schemas are in ./content/schemas.ts.
+ */
+import { defineCollection } from 'astro:content';
+import { glob } from 'astro/loaders';
+import { blogSchema, newsSchema } from './content/schemas';
+
+const blog = defineCollection({
+  loader: glob({ pattern: '**/*.md', base: './src/content/blog' }),
+  schema: blogSchema,
+});
+
+const news = defineCollection({
+  loader: glob({ pattern: '**/*.md', base: './src/content/news' }),
+  schema: newsSchema,
+});
+
+export const collections = { blog, news };
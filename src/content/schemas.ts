@@ -0,0 +1,74 @@
+/**
+ * Frontmatter schemas of the blog and news collections. Shared by
+ * src/content.config.ts and scripts/ingest-news.ts, so they import zod from
+ * `astro/zod` rather than the `astro:content` virtual module.
+ */
+import { z } from 'astro/zod';
+import { isEnabledLocale } from '../i18n/locales';
+
+/** Long enough to say something in a card or a feed reader, short enough for a meta description */
+export const DESCRIPTION_MIN = 50;
+export const DESCRIPTION_MAX = 300;
+
+/** Hosts that remote images may come from; everything else has to live in public/ */
+export const IMAGE_HOSTS: readonly string[] = ['images.unsplash.com'];
+
+/** A site path ("/images/cover.jpg") or an https URL on one of IMAGE_HOSTS */
+export function isAllowedImage(value: string): boolean {
+  if (value.startsWith('/') && !value.startsWith('//')) return true;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && IMAGE_HOSTS.includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+const isHttpUrl = (value: string) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const common = {
+  title: z.string().trim().min(1),
+  description: z.string().trim().min(DESCRIPTION_MIN).max(DESCRIPTION_MAX),
+  pubDate: z.coerce.date(),
+  image: z.string().refine(isAllowedImage, {
+    message: `image must be a site path or an https URL on ${IMAGE_HOSTS.join(', ')}`,
+  }).optional(),
+  tags: z.array(z.string().trim().min(1)).default([]),
+  lang: z.string().refine(isEnabledLocale, { message: 'lang must be an enabled locale (src/i18n/locales.ts)' }),
+  /** Shared by the variants of one article; defaults to the file name */
+  translationKey: z.string().optional(),
+  /** Drafts are only built by `astro dev` */
+  draft: z.boolean().default(false),
+  /** The entry leaves the site (pages, listings, feeds, search) from this date */
+  expires: z.coerce.date().optional(),
+};
+
+export const blogSchema = z.object({
+  ...common,
+  author: z.string().optional(),
+  readTime: z.string().optional(),
+});
+
+export const newsSchema = z.object({
+  ...common,
+  /**
+   * Where the news comes from, linked from the page and written into the
+   * feeds, hence http(s) only. Drafts may leave it out, so a generated entry
+   * can wait as a draft until someone finds its source.
+   */
+  source: z.string().refine(isHttpUrl, { message: 'source must be an http(s) URL' }).optional(),
+  category: z.string().optional(),
+}).superRefine((data, ctx) => {
+  if (!data.draft && !data.source) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['source'], message: 'source is required unless the entry is a draft' });
+  }
+});
+
+export type BlogFrontmatter = z.input<typeof blogSchema>;
+export type NewsFrontmatter = z.input<typeof newsSchema>;
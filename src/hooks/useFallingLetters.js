@@ -1,27 +1,119 @@
 import { useEffect, useRef } from 'react';
 import gsap from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { createRandom, hashString } from '../lib/random';
+import { splitElementText } from '../lib/splitText';
+import useMotion from './useMotion';
+
+if (typeof window !== 'undefined') {
+  gsap.registerPlugin(ScrollTrigger);
+}
 
 /**
  * Хук для анимации падающих букв при скролле.
  * Основан на hero-animations.js из старого проекта.
- * 
+ * Учитывает политику анимаций (useMotion): при reduced буквы просто проявляются,
+ * падения при скролле нет.
+ *
+ * Буквы – элементы .letter внутри заголовка. Для заголовков, которые рендерит React,
+ * их создаёт компонент SplitText – ему нужно передать те же by (splitBy) и locale:
+ * при их смене SplitText перерисовывает span'ы, а эффект перезапускается и находит
+ * новые. Если .letter нет (обычная разметка), хук сам
+ * разбивает текстовые узлы через Intl.Segmenter (splitBy: 'grapheme' | 'word' | 'line'),
+ * не трогая вложенные элементы, и восстанавливает исходный DOM при размонтировании.
+ * Случайные параметры падения берутся из генератора с зерном seed (по умолчанию –
+ * хэш текста заголовка), поэтому при повторных запусках эффекта они не меняются.
+ *
+ * Скролл-хореография – один GSAP-таймлайн, привязанный к ScrollTrigger со scrub:
+ * start / end / pin – как у ScrollTrigger (по умолчанию падение за первые 100px);
+ * effect – 'fall' (буквы падают вниз, как в старом проекте) | 'scatter' (разлетаются
+ * в случайные стороны) | 'explode' (разлетаются от центра заголовка);
+ * reassemble – собирать ли буквы обратно при скролле вверх (иначе после конца
+ * диапазона они остаются разлетевшимися).
+ *
  * @param {React.RefObject} titleRef - ссылка на элемент заголовка
  * @param {React.RefObject} containerRef - ссылка на контейнер секции (для ScrollTrigger)
  * @param {Object} options - дополнительные настройки
  */
+export const FALLING_LETTERS_DEFAULTS = {
+  entranceDelay: 0.6,      // задержка перед появлением букв
+  staggerDelay: 0.05,      // задержка между буквами при появлении
+  fallDistance: 300,       // базовая дистанция разлёта
+  maxHorizontalDrift: 150, // максимальный дрейф по горизонтали
+  maxRotation: 120,        // максимальное вращение
+  scrub: 0.5,              // параметр скраба ScrollTrigger
+  start: 'top top',        // начало диапазона скролла
+  end: '+=100px',          // конец диапазона (как в оригинале: 100px скролла)
+  pin: false,              // закрепить контейнер на время диапазона
+  effect: 'fall',          // 'fall' | 'scatter' | 'explode'
+  reassemble: true,        // собирать буквы при скролле обратно
+  splitBy: 'grapheme',     // единица разбиения, если .letter ещё нет
+};
+
+// Доля таймлайна, на которую буквы могут опаздывать друг относительно друга
+const MAX_LETTER_OFFSET = 0.3;
+
+// Конечное состояние буквы для выбранного эффекта
+const effectTarget = (effect, params, offsetFromCenter, options) => {
+  const { fallDistance } = options;
+
+  if (effect === 'scatter') {
+    const distance = fallDistance * params.reach;
+    return {
+      x: Math.cos(params.angle) * distance,
+      y: Math.sin(params.angle) * distance,
+      rotation: params.rotation,
+      scale: 0.5,
+      opacity: 0,
+      ease: 'power2.out',
+    };
+  }
+
+  if (effect === 'explode') {
+    // Направление – от центра заголовка к центру буквы
+    const { dx, dy } = offsetFromCenter;
+    const length = Math.hypot(dx, dy) || 1;
+    const distance = fallDistance * (0.5 + params.reach);
+    return {
+      x: (dx / length) * distance,
+      y: (dy / length) * distance,
+      rotation: params.rotation,
+      scale: 1.6,
+      opacity: 0,
+      ease: 'power2.out',
+    };
+  }
+
+  return {
+    x: params.driftX,
+    y: params.fallY,
+    rotation: params.rotation,
+    opacity: 0,
+    ease: 'power1.in',
+  };
+};
+
 const useFallingLetters = (titleRef, containerRef, options = {}) => {
   const {
-    entranceDelay = 0.6, // задержка перед появлением букв
-    staggerDelay = 0.05, // задержка между буквами при появлении
-    fallDistance = 300,  // базовая дистанция падения
-    maxHorizontalDrift = 150, // максимальный дрейф по горизонтали
-    maxRotation = 120,   // максимальное вращение
-    scrub = 0.5,         // параметр скраба ScrollTrigger
-  } = options;
+    entranceDelay,
+    staggerDelay,
+    fallDistance,
+    maxHorizontalDrift,
+    maxRotation,
+    scrub,
+    start,
+    end,
+    pin,
+    effect,
+    reassemble,
+    splitBy,
+    locale, // язык для правил разбиения на слова
+    seed,   // зерно случайных параметров
+  } = { ...FALLING_LETTERS_DEFAULTS, ...options };
 
+  const { reduced: reducedMotion } = useMotion();
   const lettersRef = useRef([]);
-  const scrollTriggerRef = useRef(null);
+  const scrollTimelineRef = useRef(null);
   const entranceTimelineRef = useRef(null);
 
   useEffect(() => {
@@ -30,30 +122,43 @@ const useFallingLetters = (titleRef, containerRef, options = {}) => {
     const titleElement = titleRef.current;
     const container = containerRef.current;
 
-    // 1. Обернуть каждую букву в span (если ещё не обёрнуты)
-    // Проверяем, есть ли уже буквы с классом .letter
-    let letters = titleElement.querySelectorAll('.letter');
-    if (letters.length === 0) {
-      const text = titleElement.textContent;
-      let wrappedText = '';
-      for (let i = 0; i < text.length; i++) {
-        const char = text[i];
-        if (char === ' ') {
-          wrappedText += `<span class="letter letter--space"> </span>`;
-        } else {
-          wrappedText += `<span class="letter">${char}</span>`;
-        }
-      }
-      titleElement.innerHTML = wrappedText;
-      letters = titleElement.querySelectorAll('.letter:not(.letter--space)');
-    } else {
-      // Фильтруем пробелы
-      letters = titleElement.querySelectorAll('.letter:not(.letter--space)');
-    }
-
+    // 1. Буквы: готовые .letter (SplitText) или разбиваем текст сами
+    const restoreDom = titleElement.querySelector('.letter')
+      ? null
+      : splitElementText(titleElement, { by: splitBy, locale });
+    // Пробелы не анимируем
+    const letters = titleElement.querySelectorAll('.letter:not(.letter--space)');
     lettersRef.current = Array.from(letters);
 
-    if (letters.length === 0) return;
+    const cleanup = () => {
+      scrollTimelineRef.current?.scrollTrigger?.kill();
+      scrollTimelineRef.current?.kill();
+      scrollTimelineRef.current = null;
+      entranceTimelineRef.current?.kill();
+      entranceTimelineRef.current = null;
+      lettersRef.current = [];
+      restoreDom?.();
+    };
+
+    if (letters.length === 0) return cleanup;
+
+    // Уменьшенная анимация: только проявление, без падения при скролле
+    if (reducedMotion) {
+      gsap.set(letters, { x: 0, y: 0, rotation: 0, scale: 1, opacity: 0 });
+      entranceTimelineRef.current = gsap.to(letters, { opacity: 1, duration: 0.6, delay: entranceDelay });
+      return cleanup;
+    }
+
+    // Положение букв относительно центра заголовка (для 'explode') – до любых трансформаций
+    gsap.set(letters, { x: 0, y: 0, rotation: 0, scale: 1 });
+    const titleRect = titleElement.getBoundingClientRect();
+    const letterOffsets = lettersRef.current.map((letter) => {
+      const rect = letter.getBoundingClientRect();
+      return {
+        dx: rect.left + rect.width / 2 - (titleRect.left + titleRect.width / 2),
+        dy: rect.top + rect.height / 2 - (titleRect.top + titleRect.height / 2),
+      };
+    });
 
     // 2. Анимация появления (вход) через GSAP
     gsap.set(letters, { y: 100, opacity: 0 });
@@ -66,66 +171,56 @@ const useFallingLetters = (titleRef, containerRef, options = {}) => {
       delay: entranceDelay,
     });
 
-    // 3. Анимация падения при скролле
-    if (typeof gsap !== 'undefined' && typeof ScrollTrigger !== 'undefined') {
-      // Генерируем случайные параметры для каждой буквы один раз
-      const letterParams = lettersRef.current.map(() => ({
-        randomY: fallDistance + Math.random() * 200,
-        randomX: (Math.random() - 0.5) * maxHorizontalDrift,
-        randomRotation: (Math.random() - 0.5) * maxRotation,
-        randomDelayFactor: Math.random() * 0.6,
-      }));
-
-      scrollTriggerRef.current = ScrollTrigger.create({
+    // 3. Скролл: один таймлайн длительностью 1, ScrollTrigger прокручивает его вперёд и назад
+    // Случайные параметры для каждой буквы; зерно делает их одинаковыми при каждом запуске
+    const random = createRandom(seed ?? hashString(titleElement.textContent));
+    const letterParams = lettersRef.current.map(() => ({
+      fallY: fallDistance + random() * 200,
+      driftX: (random() - 0.5) * maxHorizontalDrift,
+      rotation: (random() - 0.5) * maxRotation,
+      offset: random() * MAX_LETTER_OFFSET,
+      angle: random() * Math.PI * 2,
+      reach: 0.5 + random(),
+    }));
+
+    const timeline = gsap.timeline({
+      scrollTrigger: {
         trigger: container,
-        start: 'top top',
-        end: '+=100px', // Как в оригинале: падение происходит за 100px скролла
+        start,
+        end,
         scrub,
-        onUpdate: (self) => {
-          lettersRef.current.forEach((letter, i) => {
-            const params = letterParams[i];
-            // Оригинальная формула из old_page
-            let letterFallProgress = Math.max(0, (self.progress - params.randomDelayFactor * 0.3) / 2.4);
-            letterFallProgress = Math.min(1, letterFallProgress);
-
-            gsap.to(letter, {
-              y: letterFallProgress * params.randomY,
-              x: letterFallProgress * params.randomX,
-              rotation: letterFallProgress * params.randomRotation,
-              opacity: 1 - letterFallProgress,
-              duration: 0.1,
-              ease: 'power1.out',
-              overwrite: true,
-            });
-          });
+        pin,
+        // Скролл во время появления: появление сразу завершается, дальше управляет таймлайн
+        onUpdate: () => {
+          if (entranceTimelineRef.current?.isActive()) entranceTimelineRef.current.progress(1);
         },
-        onLeave: () => {
-          gsap.to(lettersRef.current, { opacity: 0, duration: 0.1 });
+        onLeave: (self) => {
+          if (reassemble) return;
+          // Без сборки: отвязываем таймлайн от скролла в конечном состоянии
+          self.kill();
+          timeline.progress(1);
         },
-        onEnterBack: () => {
-          gsap.to(lettersRef.current, {
-            y: 0,
-            x: 0,
-            rotation: 0,
-            opacity: 1,
-            duration: 0.1,
-            overwrite: true,
-          });
-        },
-      });
-    }
+      },
+    });
+
+    lettersRef.current.forEach((letter, i) => {
+      const params = letterParams[i];
+      const { ease, ...target } = effectTarget(effect, params, letterOffsets[i], { fallDistance });
+      timeline.fromTo(
+        letter,
+        { x: 0, y: 0, rotation: 0, scale: 1, opacity: 1 },
+        { ...target, ease, duration: 1 - params.offset, immediateRender: false },
+        params.offset
+      );
+    });
+    scrollTimelineRef.current = timeline;
 
     // Очистка
-    return () => {
-      if (scrollTriggerRef.current) {
-        scrollTriggerRef.current.kill();
-      }
-      if (entranceTimelineRef.current) {
-        entranceTimelineRef.current.kill();
-      }
-      lettersRef.current = [];
-    };
-  }, [titleRef, containerRef, entranceDelay, staggerDelay, fallDistance, maxHorizontalDrift, maxRotation, scrub]);
+    return cleanup;
+  }, [
+    titleRef, containerRef, entranceDelay, staggerDelay, fallDistance, maxHorizontalDrift, maxRotation,
+    scrub, start, end, pin, effect, reassemble, splitBy, locale, seed, reducedMotion,
+  ]);
 };
 
-export default useFallingLetters;
\ No newline at end of file
+export default useFallingLetters;
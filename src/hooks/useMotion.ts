@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+import { getMotion, serverMotionState, setMotion, subscribe, type MotionState } from '../theme/motion';
+
+/**
+ * Motion policy (prefers-reduced-motion + the user's override) from src/theme/motion and its setter.
+ * During hydration returns the server state first, then the real one.
+ */
+const useMotion = (): MotionState & { setMotion: typeof setMotion } => {
+  const state = useSyncExternalStore(subscribe, getMotion, () => serverMotionState);
+  return { ...state, setMotion };
+};
+
+export default useMotion;
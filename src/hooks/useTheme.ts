@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+import { getTheme, serverThemeState, setTheme, subscribe, type ThemeState } from '../theme';
+
+/**
+ * Current theme from the shared store (src/theme) and its setter.
+ * During hydration returns the server state first, then the real one.
+ */
+const useTheme = (): ThemeState & { setTheme: typeof setTheme } => {
+  const state = useSyncExternalStore(subscribe, getTheme, () => serverThemeState);
+  return { ...state, setTheme };
+};
+
+export default useTheme;
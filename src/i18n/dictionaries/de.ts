@@ -0,0 +1,79 @@
+import type { Dictionary } from './ru';
+
+const de: Dictionary = {
+  'meta.description': 'RunSwift Studio: Webentwicklung und Automatisierung von Geschäftsprozessen. Individuelle Websites ohne Baukasten, weniger Routinearbeit.',
+
+  'hero.subtitle': 'Moderne Lösungen für Ihr Unternehmen',
+
+  'additional.title': 'Zusätzlicher Abschnitt',
+  'additional.lead': 'Scrollen Sie nach unten, um den Effekt der fallenden Buchstaben beim Scrollen der Seite zu sehen',
+  'additional.body': 'Dies ist ein zusätzlicher Abschnitt, um die Animation der fallenden Buchstaben zu überprüfen.',
+
+  'nav.label': 'Bereiche',
+  'nav.blog': 'Blog',
+  'nav.news': 'News',
+
+  'language.label': 'Sprache',
+
+  'theme.label': 'Farbschema',
+  'theme.light': 'Helles Design',
+  'theme.dark': 'Dunkles Design',
+  'theme.system': 'Systemdesign',
+
+  'motion.label': 'Animationen',
+  'motion.full': 'Alle Animationen',
+  'motion.reduce': 'Weniger Animationen',
+  'motion.system': 'Wie im System',
+
+  'blog.title': 'Blog',
+  'blog.lead': 'Anleitungen, Fallstudien und Neuigkeiten aus der Welt der Automatisierung.',
+  'news.title': 'News',
+  'news.lead': 'Neues von Run Swift Studio und aus der Welt der Automatisierung.',
+
+  'articles.readMore': 'Weiterlesen',
+  'articles.backToBlog': 'Zurück zum Blog',
+  'articles.backToNews': 'Zurück zu den News',
+  'articles.empty': 'Hier gibt es noch nichts.',
+  'articles.untranslated': {
+    one: '{count} Beitrag ist bisher nur in anderen Sprachen verfügbar:',
+    other: '{count} Beiträge sind bisher nur in anderen Sprachen verfügbar:',
+  },
+  'articles.source': 'Quelle',
+  'articles.authorRole': 'Automatisierung und Entwicklung',
+  'articles.older': 'Älter',
+  'articles.newer': 'Neuer',
+  'articles.adjacent': 'Weitere Beiträge',
+  'articles.tags': 'Schlagwörter',
+  'articles.categories': 'Kategorien',
+  'articles.tagTitle': 'Schlagwort #{term}',
+  'articles.categoryTitle': 'Kategorie: {term}',
+  'articles.count': {
+    one: '{count} Beitrag',
+    other: '{count} Beiträge',
+  },
+
+  'pagination.label': 'Seiten',
+  'pagination.prev': 'Zurück',
+  'pagination.next': 'Weiter',
+  'pagination.status': 'Seite {current} von {last}',
+
+  'search.open': 'Suche',
+  'search.placeholder': 'Blog und News durchsuchen',
+  'search.close': 'Schließen',
+  'search.collection': 'Bereich',
+  'search.all': 'Alle',
+  'search.allTags': 'Alle Schlagwörter',
+  'search.loading': 'Suche wird geladen…',
+  'search.error': 'Die Suche konnte nicht geladen werden',
+  'search.empty': 'Keine Treffer',
+  'search.results': {
+    one: '{count} Ergebnis',
+    other: '{count} Ergebnisse',
+  },
+
+  'notFound.title': 'Seite nicht gefunden',
+  'notFound.text': 'Diese Seite existiert nicht oder wurde verschoben.',
+  'notFound.back': 'Zur Startseite',
+};
+
+export default de;
@@ -0,0 +1,79 @@
+import type { Dictionary } from './ru';
+
+const en: Dictionary = {
+  'meta.description': 'RunSwift Studio: website development and business process automation. Hand-built websites without site builders, less routine work.',
+
+  'hero.subtitle': 'Modern solutions for your business',
+
+  'additional.title': 'Additional Section',
+  'additional.lead': 'Scroll down to see the falling letters effect when scrolling the page',
+  'additional.body': 'This is an additional section to check the falling letters animation.',
+
+  'nav.label': 'Sections',
+  'nav.blog': 'Blog',
+  'nav.news': 'News',
+
+  'language.label': 'Language',
+
+  'theme.label': 'Color theme',
+  'theme.light': 'Light theme',
+  'theme.dark': 'Dark theme',
+  'theme.system': 'System theme',
+
+  'motion.label': 'Animations',
+  'motion.full': 'Full motion',
+  'motion.reduce': 'Reduced motion',
+  'motion.system': 'System motion setting',
+
+  'blog.title': 'Blog',
+  'blog.lead': 'Guides, case studies and news from the world of automation.',
+  'news.title': 'News',
+  'news.lead': 'What is new at Run Swift Studio and in the world of automation.',
+
+  'articles.readMore': 'Read',
+  'articles.backToBlog': 'Back to the blog',
+  'articles.backToNews': 'Back to news',
+  'articles.empty': 'Nothing here yet.',
+  'articles.untranslated': {
+    one: '{count} article is only available in other languages so far:',
+    other: '{count} articles are only available in other languages so far:',
+  },
+  'articles.source': 'Source',
+  'articles.authorRole': 'Automation and development',
+  'articles.older': 'Older',
+  'articles.newer': 'Newer',
+  'articles.adjacent': 'More articles',
+  'articles.tags': 'Tags',
+  'articles.categories': 'Categories',
+  'articles.tagTitle': 'Tagged #{term}',
+  'articles.categoryTitle': 'Category: {term}',
+  'articles.count': {
+    one: '{count} article',
+    other: '{count} articles',
+  },
+
+  'pagination.label': 'Pages',
+  'pagination.prev': 'Previous',
+  'pagination.next': 'Next',
+  'pagination.status': 'Page {current} of {last}',
+
+  'search.open': 'Search',
+  'search.placeholder': 'Search the blog and news',
+  'search.close': 'Close',
+  'search.collection': 'Section',
+  'search.all': 'All',
+  'search.allTags': 'All tags',
+  'search.loading': 'Loading search…',
+  'search.error': 'Search could not be loaded',
+  'search.empty': 'No matches',
+  'search.results': {
+    one: '{count} result',
+    other: '{count} results',
+  },
+
+  'notFound.title': 'Page not found',
+  'notFound.text': 'This page does not exist or has been moved.',
+  'notFound.back': 'Back to home',
+};
+
+export default en;
@@ -0,0 +1,91 @@
+/**
+ * Русский словарь — эталон набора ключей: остальные локали типизируются по нему.
+ * Плюральные формы задаются категориями Intl.PluralRules (one/few/many/other).
+ */
+const ru = {
+  'meta.description': 'RunSwift Studio: разработка веб-сайтов и автоматизация бизнес-процессов. Качественные сайты без конструкторов, оптимизация рутины.',
+
+  'hero.subtitle': 'Современные решения для вашего бизнеса',
+
+  'additional.title': 'Дополнительная секция',
+  'additional.lead': 'Прокрутите вниз, чтобы увидеть эффект падающих букв при прокрутке страницы',
+  'additional.body': 'Это дополнительная секция для проверки анимации падающих букв.',
+
+  'nav.label': 'Разделы',
+  'nav.blog': 'Блог',
+  'nav.news': 'Новости',
+
+  'language.label': 'Язык',
+
+  'theme.label': 'Тема оформления',
+  'theme.light': 'Светлая тема',
+  'theme.dark': 'Тёмная тема',
+  'theme.system': 'Системная тема',
+
+  'motion.label': 'Анимации',
+  'motion.full': 'Полная анимация',
+  'motion.reduce': 'Меньше анимации',
+  'motion.system': 'Как в системе',
+
+  'blog.title': 'Блог',
+  'blog.lead': 'Инструкции, кейсы и новости из мира автоматизации.',
+  'news.title': 'Новости',
+  'news.lead': 'Что нового в Run Swift Studio и в мире автоматизации.',
+
+  'articles.readMore': 'Читать',
+  'articles.backToBlog': 'Назад в блог',
+  'articles.backToNews': 'Назад к новостям',
+  'articles.empty': 'Здесь пока пусто.',
+  'articles.untranslated': {
+    one: '{count} материал пока есть только на других языках:',
+    few: '{count} материала пока есть только на других языках:',
+    many: '{count} материалов пока есть только на других языках:',
+    other: '{count} материала пока есть только на других языках:',
+  },
+  'articles.source': 'Источник',
+  'articles.authorRole': 'Автоматизация и разработка',
+  'articles.older': 'Раньше',
+  'articles.newer': 'Позже',
+  'articles.adjacent': 'Соседние материалы',
+  'articles.tags': 'Теги',
+  'articles.categories': 'Рубрики',
+  'articles.tagTitle': 'Тег #{term}',
+  'articles.categoryTitle': 'Рубрика «{term}»',
+  'articles.count': {
+    one: '{count} материал',
+    few: '{count} материала',
+    many: '{count} материалов',
+    other: '{count} материала',
+  },
+
+  'pagination.label': 'Страницы',
+  'pagination.prev': 'Назад',
+  'pagination.next': 'Дальше',
+  'pagination.status': 'Страница {current} из {last}',
+
+  'search.open': 'Поиск',
+  'search.placeholder': 'Искать в блоге и новостях',
+  'search.close': 'Закрыть',
+  'search.collection': 'Раздел',
+  'search.all': 'Все',
+  'search.allTags': 'Все теги',
+  'search.loading': 'Загружаем поиск…',
+  'search.error': 'Не удалось загрузить поиск',
+  'search.empty': 'Ничего не найдено',
+  'search.results': {
+    one: '{count} результат',
+    few: '{count} результата',
+    many: '{count} результатов',
+    other: '{count} результата',
+  },
+
+  'notFound.title': 'Страница не найдена',
+  'notFound.text': 'Такой страницы нет или она была перемещена.',
+  'notFound.back': 'На главную',
+} as const;
+
+export type Message = string | Partial<Record<Intl.LDMLPluralRule, string>>;
+export type TranslationKey = keyof typeof ru;
+export type Dictionary = Record<TranslationKey, Message>;
+
+export default ru satisfies Dictionary;
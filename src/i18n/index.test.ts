@@ -0,0 +1,58 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { findMissingKeys, formatDate, t } from './index';
+
+describe('t', () => {
+  it('looks the key up in the requested locale', () => {
+    expect(t('de', 'hero.subtitle')).toBe('Moderne Lösungen für Ihr Unternehmen');
+    expect(t('en', 'hero.subtitle')).toBe('Modern solutions for your business');
+  });
+
+  it('falls back to the default locale for unknown or missing locales', () => {
+    expect(t('xx', 'hero.subtitle')).toBe('Современные решения для вашего бизнеса');
+    expect(t(undefined, 'hero.subtitle')).toBe('Современные решения для вашего бизнеса');
+  });
+
+  it('interpolates params and leaves unknown placeholders alone', () => {
+    expect(t('ru', 'pagination.status', { current: 2, last: 5 })).toBe('Страница 2 из 5');
+    expect(t('ru', 'pagination.status', { current: 2 })).toBe('Страница 2 из {last}');
+  });
+
+  it('picks plural forms through Intl.PluralRules', () => {
+    expect(t('ru', 'search.results', { count: 1 })).toBe('1 результат');
+    expect(t('ru', 'search.results', { count: 3 })).toBe('3 результата');
+    expect(t('ru', 'search.results', { count: 11 })).toBe('11 результатов');
+    expect(t('ru', 'search.results', { count: 21 })).toBe('21 результат');
+  });
+});
+
+describe('formatDate', () => {
+  it("uses the locale's date locale", () => {
+    const date = new Date(Date.UTC(2025, 0, 15, 12));
+    expect(formatDate('de', date)).toBe('15. Januar 2025');
+    expect(formatDate('en', date)).toBe('15 January 2025');
+  });
+});
+
+describe('dictionary completeness', () => {
+  afterEach(() => {
+    vi.doUnmock('./dictionaries/en');
+    vi.unstubAllEnvs();
+    vi.resetModules();
+  });
+
+  it('has no missing keys in the shipped dictionaries', () => {
+    expect(findMissingKeys()).toEqual({});
+  });
+
+  it('fails a production build when a locale lacks keys', async () => {
+    vi.resetModules();
+    vi.doMock('./dictionaries/en', async (importOriginal) => {
+      const { default: en } = await importOriginal<typeof import('./dictionaries/en')>();
+      return { default: { ...en, 'hero.subtitle': undefined } };
+    });
+    vi.stubEnv('SSR', true);
+    vi.stubEnv('DEV', false);
+
+    await expect(import('./index')).rejects.toThrow('"en" is missing 1 key(s): hero.subtitle');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Translation helper shared by .astro pages and React islands.
+ *
+ *   t('de', 'hero.subtitle')
+ *   t(lang, key, { count: 5 })   // plural messages pick a form via Intl.PluralRules
+ *
+ *   formatDate('de', date)   // "15. Januar 2025", in the locale's dateLocale
+ *
+ * Missing keys fall back to the default locale, then to the key itself; a
+ * production build fails instead (see the check at the end of this file).
+ */
+import ru, { type Dictionary, type Message, type TranslationKey } from './dictionaries/ru';
+import en from './dictionaries/en';
+import de from './dictionaries/de';
+import { defaultLocale, getLocale, type Locale } from './locales';
+
+export type { TranslationKey };
+export type TranslationParams = Record<string, string | number>;
+
+// `satisfies` makes a locale added to the registry without a dictionary a type error.
+const dictionaries: Record<string, Partial<Dictionary>> = { ru, en, de } satisfies Record<Locale, Dictionary>;
+
+const pluralRulesCache = new Map<string, Intl.PluralRules>();
+
+function getPluralRules(lang: string): Intl.PluralRules {
+  let rules = pluralRulesCache.get(lang);
+  if (!rules) {
+    rules = new Intl.PluralRules(lang);
+    pluralRulesCache.set(lang, rules);
+  }
+  return rules;
+}
+
+function resolveMessage(lang: string, key: TranslationKey): { message: Message; lang: string } | undefined {
+  const message = dictionaries[lang]?.[key];
+  if (message !== undefined) return { message, lang };
+
+  const fallback = dictionaries[defaultLocale]?.[key];
+  if (fallback !== undefined) return { message: fallback, lang: defaultLocale };
+
+  return undefined;
+}
+
+function interpolate(template: string, params: TranslationParams): string {
+  return template.replace(/\{(\w+)\}/g, (match, name: string) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+export function t(lang: string | undefined, key: TranslationKey, params: TranslationParams = {}): string {
+  const resolved = resolveMessage(lang ?? defaultLocale, key);
+  if (!resolved) return key;
+
+  const { message } = resolved;
+  if (typeof message === 'string') return interpolate(message, params);
+
+  const count = Number(params.count ?? 0);
+  const category = getPluralRules(resolved.lang).select(count);
+  const form = message[category] ?? message.other ?? '';
+  return interpolate(form, params);
+}
+
+export function formatDate(lang: string | undefined, date: Date): string {
+  return date.toLocaleDateString(getLocale(lang).dateLocale, { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Lists keys that a locale lacks compared to the default dictionary.
+ */
+export function findMissingKeys(): Record<string, TranslationKey[]> {
+  const reference = Object.keys(dictionaries[defaultLocale] ?? ru) as TranslationKey[];
+  const missing: Record<string, TranslationKey[]> = {};
+
+  for (const [lang, dictionary] of Object.entries(dictionaries)) {
+    const keys = reference.filter((key) => dictionary[key] === undefined);
+    if (keys.length > 0) missing[lang] = keys;
+  }
+
+  return missing;
+}
+
+// Dictionaries are typed against ru.ts, so `npm run typecheck` (part of
+// `npm run build`) rejects gaps; this catches the rest (e.g. an `undefined`
+// slipped in) while rendering on the server. `astro dev` only warns, a build fails.
+if (import.meta.env.SSR) {
+  const problems = Object.entries(findMissingKeys()).map(
+    ([lang, keys]) => `"${lang}" is missing ${keys.length} key(s): ${keys.join(', ')}`
+  );
+  if (problems.length > 0) {
+    const message = `[i18n] ${problems.join('; ')}`;
+    if (import.meta.env.DEV) console.warn(`${message} (falling back to "${defaultLocale}")`);
+    else throw new Error(message);
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Single source of truth for the site's locales. Feeds astro.config.mjs,
+ * getStaticPaths, LanguagePicker, Layout and the translation helper.
+ * To add a locale: add an entry here and a dictionary in ./dictionaries.
+ */
+
+export interface LocaleDefinition {
+  /** URL segment and dictionary key */
+  code: string;
+  /** Name of the language in that language */
+  label: string;
+  dir: 'ltr' | 'rtl';
+  /** Locale passed to Intl formatters (dates, numbers) */
+  dateLocale: string;
+  /** Disabled locales keep their dictionary but get no routes */
+  enabled: boolean;
+}
+
+export const locales = [
+  { code: 'ru', label: 'Русский', dir: 'ltr', dateLocale: 'ru-RU', enabled: true },
+  { code: 'en', label: 'English', dir: 'ltr', dateLocale: 'en-GB', enabled: true },
+  { code: 'de', label: 'Deutsch', dir: 'ltr', dateLocale: 'de-DE', enabled: true },
+] as const satisfies readonly LocaleDefinition[];
+
+export type Locale = (typeof locales)[number]['code'];
+
+export const defaultLocale: Locale = 'ru';
+
+export const enabledLocales: readonly LocaleDefinition[] = locales.filter((locale) => locale.enabled);
+
+export const enabledLocaleCodes: readonly string[] = enabledLocales.map((locale) => locale.code);
+
+export function isEnabledLocale(code: string | undefined): code is Locale {
+  return code !== undefined && enabledLocaleCodes.includes(code);
+}
+
+export function getLocale(code: string | undefined): LocaleDefinition {
+  return enabledLocales.find((locale) => locale.code === code)
+    ?? locales.find((locale) => locale.code === defaultLocale)!;
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { matchLocale, negotiateLocale, parseAcceptLanguage } from './negotiate';
+
+const locales = ['ru', 'en', 'de'];
+
+describe('parseAcceptLanguage', () => {
+  it('sorts ranges by q-value and keeps header order on ties', () => {
+    expect(parseAcceptLanguage('en;q=0.5, de, fr;q=0.8, ru')).toEqual([
+      { tag: 'de', q: 1 },
+      { tag: 'ru', q: 1 },
+      { tag: 'fr', q: 0.8 },
+      { tag: 'en', q: 0.5 },
+    ]);
+  });
+
+  it('drops q=0, clamps out-of-range values and lower-cases tags', () => {
+    expect(parseAcceptLanguage('EN-gb;q=2, de;q=0, ru;q=abc')).toEqual([{ tag: 'en-gb', q: 1 }]);
+  });
+
+  it('returns nothing for a missing header', () => {
+    expect(parseAcceptLanguage(undefined)).toEqual([]);
+    expect(parseAcceptLanguage('')).toEqual([]);
+  });
+});
+
+describe('matchLocale', () => {
+  it('prefers an exact match, then the primary subtag', () => {
+    expect(matchLocale('DE', locales)).toBe('de');
+    expect(matchLocale('de-AT', locales)).toBe('de');
+    expect(matchLocale('fr', locales)).toBeUndefined();
+    expect(matchLocale('*', locales)).toBeUndefined();
+  });
+});
+
+describe('negotiateLocale', () => {
+  const options = { locales, defaultLocale: 'ru' };
+
+  it('honours a saved cookie first', () => {
+    expect(negotiateLocale({ ...options, cookie: 'de', acceptLanguage: 'en' })).toBe('de');
+  });
+
+  it('ignores an unknown cookie and falls through to Accept-Language', () => {
+    expect(negotiateLocale({ ...options, cookie: 'xx', acceptLanguage: 'fr, en-US;q=0.9' })).toBe('en');
+  });
+
+  it('accepts navigator.languages on the client', () => {
+    expect(negotiateLocale({ ...options, acceptLanguage: ['fr-FR', 'de-CH'] })).toBe('de');
+  });
+
+  it('falls back to the default locale', () => {
+    expect(negotiateLocale({ ...options, acceptLanguage: 'fr, *' })).toBe('ru');
+    expect(negotiateLocale(options)).toBe('ru');
+  });
+});
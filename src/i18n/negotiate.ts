@@ -0,0 +1,81 @@
+/**
+ * Locale negotiation shared by the middleware (server) and the static
+ * fallback page (client). Order: saved cookie → Accept-Language → default.
+ */
+
+export const LOCALE_COOKIE = 'locale';
+
+interface LanguageRange {
+  tag: string;
+  q: number;
+}
+
+/**
+ * Parses an Accept-Language header into ranges sorted by q-value.
+ * Ranges with q=0 are dropped, ties keep header order.
+ */
+export function parseAcceptLanguage(header: string | null | undefined): LanguageRange[] {
+  if (!header) return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [rawTag, ...params] = part.trim().split(';');
+      let q = 1;
+      for (const param of params) {
+        const [key, value] = param.trim().split('=');
+        if (key === 'q') {
+          const parsed = Number.parseFloat(value);
+          q = Number.isNaN(parsed) ? 0 : Math.min(1, Math.max(0, parsed));
+        }
+      }
+      return { tag: rawTag.trim().toLowerCase(), q, index };
+    })
+    .filter((range) => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag, q }) => ({ tag, q }));
+}
+
+/**
+ * Returns the supported locale that best matches a language tag:
+ * exact match first, then primary subtag ("de-AT" → "de").
+ */
+export function matchLocale(tag: string, locales: readonly string[]): string | undefined {
+  const normalized = tag.toLowerCase();
+  if (normalized === '*') return undefined;
+
+  const exact = locales.find((locale) => locale.toLowerCase() === normalized);
+  if (exact) return exact;
+
+  const primary = normalized.split('-')[0];
+  return locales.find((locale) => locale.toLowerCase().split('-')[0] === primary);
+}
+
+interface NegotiateOptions {
+  cookie?: string | null;
+  acceptLanguage?: string | readonly string[] | null;
+  locales: readonly string[];
+  defaultLocale: string;
+}
+
+/**
+ * Picks the locale for a visitor. `acceptLanguage` is either the raw header
+ * (server) or `navigator.languages` (client).
+ */
+export function negotiateLocale({ cookie, acceptLanguage, locales, defaultLocale }: NegotiateOptions): string {
+  if (cookie) {
+    const saved = matchLocale(cookie, locales);
+    if (saved) return saved;
+  }
+
+  const tags = typeof acceptLanguage === 'string' || acceptLanguage == null
+    ? parseAcceptLanguage(acceptLanguage).map((range) => range.tag)
+    : acceptLanguage;
+
+  for (const tag of tags) {
+    const match = matchLocale(tag, locales);
+    if (match) return match;
+  }
+
+  return defaultLocale;
+}
@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { alternatePath, localizePath, stripLocale } from './routes';
+
+describe('stripLocale', () => {
+  it('removes only a leading enabled locale', () => {
+    expect(stripLocale('/en/blog/post')).toBe('/blog/post');
+    expect(stripLocale('/de')).toBe('/');
+    expect(stripLocale('/blog/en-route')).toBe('/blog/en-route');
+    expect(stripLocale('/fr/blog')).toBe('/fr/blog');
+    expect(stripLocale('')).toBe('/');
+  });
+});
+
+describe('localizePath', () => {
+  it('prefixes the locale without a trailing slash on the root', () => {
+    expect(localizePath('de')).toBe('/de');
+    expect(localizePath('de', '/blog/')).toBe('/de/blog/');
+    expect(localizePath('de', 'news')).toBe('/de/news');
+  });
+});
+
+describe('alternatePath', () => {
+  it('prefers the translated path of the target locale', () => {
+    const alternates = { ru: '/blog/test-post', en: '/blog/first-post' };
+    expect(alternatePath('ru', '/blog/first-post', alternates)).toBe('/ru/blog/test-post');
+    expect(alternatePath('de', '/blog/first-post', alternates)).toBe('/de/blog/first-post');
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Helpers for locale-prefixed URLs ("/de/blog/post" ⇄ "/blog/post").
+ */
+import { enabledLocaleCodes } from './locales';
+
+/**
+ * Removes a leading locale segment: "/en/blog/" → "/blog/", "/en" → "/".
+ * Only the first segment is inspected, so "/blog/en-route" is left alone.
+ */
+export function stripLocale(pathname: string): string {
+  const [, first, ...rest] = pathname.split('/');
+  if (!enabledLocaleCodes.includes(first)) return pathname || '/';
+  return `/${rest.join('/')}`;
+}
+
+/**
+ * Prefixes a locale-neutral path with a locale: ("de", "/blog/") → "/de/blog/".
+ */
+export function localizePath(lang: string, path = '/'): string {
+  const normalized = path.startsWith('/') ? path : `/${path}`;
+  return normalized === '/' ? `/${lang}` : `/${lang}${normalized}`;
+}
+
+/**
+ * Locale-neutral paths of one page per locale, for pages whose slug is
+ * translated: { ru: '/blog/novosti-n8n', en: '/blog/n8n-news' }.
+ */
+export type LocalizedPaths = Partial<Record<string, string>>;
+
+/**
+ * URL of the same page in another locale. Uses the translated path when the
+ * page provides one, otherwise swaps the locale prefix of `path`.
+ */
+export function alternatePath(lang: string, path: string, alternates: LocalizedPaths = {}): string {
+  return localizePath(lang, alternates[lang] ?? path);
+}
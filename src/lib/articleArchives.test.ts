@@ -0,0 +1,50 @@
+import { describe, expect, it, vi } from 'vitest';
+import type { Article } from './articles';
+
+vi.mock('astro:content', () => ({ getCollection: async () => [] }));
+
+const { adjacentArticles, collectTerms, termsOfEntry } = await import('./articleArchives');
+
+const article = (id: string, data: Partial<Article['data']>, collection: Article['collection'] = 'news') =>
+  ({ id, collection, data: { lang: 'en', tags: [], ...data } }) as Article;
+
+describe('termsOfEntry', () => {
+  it('drops terms without a slug and only gives news entries a category', () => {
+    expect(termsOfEntry(article('en/a', { tags: ['n8n', '—'] }), 'tag').map((term) => term.slug)).toEqual(['n8n']);
+    expect(termsOfEntry(article('en/a', { category: 'AI & Automation' }), 'category')).toEqual([
+      { kind: 'category', slug: 'ai-automation', label: 'AI & Automation', count: 1 },
+    ]);
+    expect(termsOfEntry(article('en/b', { category: 'AI' }, 'blog'), 'category')).toEqual([]);
+  });
+});
+
+describe('collectTerms', () => {
+  it('merges spellings that slugify alike and sorts by use, then label', () => {
+    const entries = [
+      article('en/a', { tags: ['AI', 'n8n', 'ai'] }),
+      article('en/b', { tags: ['ai', 'Zapier'] }),
+      article('en/c', { tags: ['Make'] }),
+    ];
+
+    expect(collectTerms(entries, 'tag')).toEqual([
+      { kind: 'tag', slug: 'ai', label: 'AI', count: 2 },
+      { kind: 'tag', slug: 'make', label: 'Make', count: 1 },
+      { kind: 'tag', slug: 'n8n', label: 'n8n', count: 1 },
+      { kind: 'tag', slug: 'zapier', label: 'Zapier', count: 1 },
+    ]);
+  });
+});
+
+describe('adjacentArticles', () => {
+  it('links neighbours of the same collection and locale only', () => {
+    const newest = article('en/newest', {});
+    const german = article('de/middle', { lang: 'de' });
+    const blog = article('en/post', {}, 'blog');
+    const current = article('en/current', {});
+    const oldest = article('en/oldest', {});
+    const entries = [newest, german, blog, current, oldest];
+
+    expect(adjacentArticles(current, entries)).toEqual({ newer: newest, older: oldest });
+    expect(adjacentArticles(newest, entries)).toEqual({ newer: undefined, older: current });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Paginated listings and tag/category archives of the article collections,
+ * all generated at build time. Archives are per locale: a tag's page and
+ * counts only cover entries written in that locale.
+ *
+ *   /ru/news, /ru/news/2              listing
+ *   /ru/news/tag/n8n, …/tag/n8n/2     tag archive (blog too)
+ *   /ru/news/category/ai-automation   category archive (news only)
+ */
+import type { PaginateFunction } from 'astro';
+import { enabledLocales, enabledLocaleCodes } from '../i18n/locales';
+import { getArticles, localizeArticles, type Article, type ArticleCollection, type ArticleTranslations } from './articles';
+import { slugify } from './slug';
+
+export const PAGE_SIZE = 9;
+
+export type TermKind = 'tag' | 'category';
+
+export interface ArticleTerm {
+  kind: TermKind;
+  slug: string;
+  /** Spelling of the term's first (newest) use */
+  label: string;
+  /** Entries carrying the term */
+  count: number;
+}
+
+const termsOf: Record<TermKind, (entry: Article) => string[]> = {
+  tag: (entry) => entry.data.tags,
+  category: (entry) => (entry.collection === 'news' && entry.data.category ? [entry.data.category] : []),
+};
+
+/** Locale-neutral path: "/news/tag/n8n" */
+export const termPath = (collection: ArticleCollection, term: Pick<ArticleTerm, 'kind' | 'slug'>): string =>
+  `/${collection}/${term.kind}/${term.slug}`;
+
+export const termsOfEntry = (entry: Article, kind: TermKind): ArticleTerm[] =>
+  termsOf[kind](entry)
+    .map((label) => ({ kind, slug: slugify(label), label, count: 1 }))
+    // Punctuation-only terms have no slug to link to
+    .filter((term) => term.slug !== '');
+
+/**
+ * Terms used by `entries`, most used first. Spellings that slugify alike
+ * ("AI", "ai") count as one term.
+ */
+export function collectTerms(entries: Article[], kind: TermKind): ArticleTerm[] {
+  const terms = new Map<string, ArticleTerm>();
+
+  for (const entry of entries) {
+    // A term repeated within one entry counts once
+    const slugs = new Set<string>();
+    for (const term of termsOfEntry(entry, kind)) {
+      if (slugs.has(term.slug)) continue;
+      slugs.add(term.slug);
+      const known = terms.get(term.slug);
+      if (known) known.count++;
+      else terms.set(term.slug, term);
+    }
+  }
+
+  return [...terms.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+const hasTerm = (entry: Article, kind: TermKind, slug: string) =>
+  termsOfEntry(entry, kind).some((term) => term.slug === slug);
+
+/**
+ * Archive pages differ per locale, so they only declare their own locale for
+ * hreflang, and the language picker leads to the other locales' listings.
+ */
+export function archiveTranslations(collection: ArticleCollection, lang: string): ArticleTranslations {
+  return {
+    alternates: Object.fromEntries(enabledLocaleCodes.filter((code) => code !== lang).map((code) => [code, `/${collection}`])),
+    locales: [lang],
+  };
+}
+
+/** getStaticPaths of src/pages/[lang]/<collection>/[...page].astro */
+export async function listingPaths<C extends ArticleCollection>(collection: C, paginate: PaginateFunction) {
+  const entries = await getArticles(collection);
+
+  return enabledLocales.flatMap(({ code }) => {
+    const { articles, untranslated } = localizeArticles(entries, code);
+    return paginate(articles, {
+      params: { lang: code },
+      pageSize: PAGE_SIZE,
+      props: { untranslated, tags: collectTerms(articles, 'tag'), categories: collectTerms(articles, 'category') },
+    });
+  });
+}
+
+/** getStaticPaths of src/pages/[lang]/<collection>/<kind>/[term]/[...page].astro */
+export async function termArchivePaths<C extends ArticleCollection>(collection: C, kind: TermKind, paginate: PaginateFunction) {
+  const entries = await getArticles(collection);
+
+  return enabledLocales.flatMap(({ code }) => {
+    const { articles } = localizeArticles(entries, code);
+    const terms = collectTerms(articles, kind);
+
+    return terms.flatMap((term) => paginate(articles.filter((entry) => hasTerm(entry, kind, term.slug)), {
+      params: { lang: code, term: term.slug },
+      pageSize: PAGE_SIZE,
+      props: { term, terms },
+    }));
+  });
+}
+
+export interface AdjacentArticles<C extends ArticleCollection> {
+  newer?: Article<C>;
+  older?: Article<C>;
+}
+
+/** Neighbours of an entry among `entries` (newest first) in its own locale */
+export function adjacentArticles<C extends ArticleCollection>(entry: Article<C>, entries: Article<C>[]): AdjacentArticles<C> {
+  const siblings = entries.filter((other) => other.collection === entry.collection && other.data.lang === entry.data.lang);
+  const index = siblings.findIndex((other) => other.id === entry.id);
+  return { newer: siblings[index - 1], older: siblings[index + 1] };
+}
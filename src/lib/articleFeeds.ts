@@ -0,0 +1,65 @@
+/**
+ * Build-time RSS, Atom and JSON feeds of the article collections, one per
+ * locale and format. Each endpoint file is two lines:
+ *
+ *   export const getStaticPaths = getFeedStaticPaths;
+ *   export const GET = articleFeed('news', 'rss');
+ */
+import type { APIRoute } from 'astro';
+import { t } from '../i18n';
+import { enabledLocales, isEnabledLocale } from '../i18n/locales';
+import { localizePath } from '../i18n/routes';
+import { articlePath, getArticles, localizeArticles, type Article, type ArticleCollection } from './articles';
+import { absolutizeUrls, FEED_FORMATS, renderFeed, type FeedFormat, type FeedItem } from './feeds';
+
+export const FEED_PUBLISHER = 'Run Swift Studio';
+
+/** "/de/news/atom.xml" */
+export const feedPath = (lang: string, collection: ArticleCollection, format: FeedFormat): string =>
+  localizePath(lang, `/${collection}/${FEED_FORMATS[format].file}`);
+
+export const feedTitle = (lang: string, collection: ArticleCollection): string =>
+  `${t(lang, `${collection}.title`)} — ${FEED_PUBLISHER}`;
+
+export function getFeedStaticPaths() {
+  return enabledLocales.map(({ code }) => ({ params: { lang: code } }));
+}
+
+function toFeedItem(entry: Article, base: string | URL): FeedItem {
+  const absolute = (path: string) => new URL(path, base).href;
+  const { lang, title, description, pubDate, tags, image } = entry.data;
+
+  return {
+    url: absolute(localizePath(lang, articlePath(entry))),
+    title,
+    summary: description,
+    html: absolutizeUrls(entry.rendered?.html ?? '', base),
+    published: pubDate,
+    categories: tags,
+    image: image && absolute(image),
+    author: entry.collection === 'blog' ? entry.data.author : undefined,
+  };
+}
+
+export function articleFeed(collection: ArticleCollection, format: FeedFormat): APIRoute {
+  return async ({ params, site, url }) => {
+    const { lang } = params;
+    if (!isEnabledLocale(lang)) return new Response(null, { status: 404 });
+
+    // Same fallback as Layout.astro: `site` from astro.config.mjs, the request origin in dev
+    const base = site ?? url.origin;
+    const { articles } = localizeArticles(await getArticles(collection), lang);
+
+    const body = renderFeed[format]({
+      title: feedTitle(lang, collection),
+      description: t(lang, `${collection}.lead`),
+      lang,
+      homeUrl: new URL(localizePath(lang, `/${collection}`), base).href,
+      feedUrl: new URL(feedPath(lang, collection, format), base).href,
+      author: FEED_PUBLISHER,
+      items: articles.map((entry) => toFeedItem(entry, base)),
+    });
+
+    return new Response(body, { headers: { 'Content-Type': `${FEED_FORMATS[format].type}; charset=utf-8` } });
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Blog and news entries by locale (see src/content.config.ts). The URL slug
+ * is the file name, so every variant of an article may have its own; the
+ * variants are tied together by their translation key.
+ */
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { defaultLocale, enabledLocaleCodes } from '../i18n/locales';
+import type { LocalizedPaths } from '../i18n/routes';
+
+export type ArticleCollection = 'blog' | 'news';
+export type Article<C extends ArticleCollection = ArticleCollection> = CollectionEntry<C>;
+
+/** "ru/test-post" → "test-post" */
+export const articleSlug = (entry: Article): string => entry.id.slice(entry.id.lastIndexOf('/') + 1);
+
+export const translationKeyOf = (entry: Article): string => entry.data.translationKey ?? articleSlug(entry);
+
+/** Locale-neutral path: "/blog/test-post" */
+export const articlePath = (entry: Article): string => `/${entry.collection}/${articleSlug(entry)}`;
+
+/** Drafts only show in `astro dev`; expired entries never do */
+const isPublished = ({ data }: Article): boolean =>
+  (import.meta.env.DEV || !data.draft) && !(data.expires && data.expires <= new Date());
+
+/** Every published entry of a collection in every locale, newest first */
+export async function getArticles<C extends ArticleCollection>(collection: C): Promise<Article<C>[]> {
+  const entries = await getCollection(collection, isPublished);
+  return entries.sort((a, b) => b.data.pubDate.valueOf() - a.data.pubDate.valueOf());
+}
+
+export interface LocalizedArticles<C extends ArticleCollection> {
+  /** Entries written in the requested locale */
+  articles: Article<C>[];
+  /**
+   * One variant of every article that has no translation into the locale,
+   * preferring the default locale's
+   */
+  untranslated: Article<C>[];
+}
+
+export function localizeArticles<C extends ArticleCollection>(entries: Article<C>[], lang: string): LocalizedArticles<C> {
+  const articles = entries.filter((entry) => entry.data.lang === lang);
+  const translated = new Set(articles.map(translationKeyOf));
+  const fallbacks = new Map<string, Article<C>>();
+
+  for (const entry of entries) {
+    const key = translationKeyOf(entry);
+    if (translated.has(key)) continue;
+    if (!fallbacks.has(key) || entry.data.lang === defaultLocale) fallbacks.set(key, entry);
+  }
+
+  return { articles, untranslated: [...fallbacks.values()] };
+}
+
+export interface ArticleTranslations {
+  /** Layout `alternates`: locales without a variant point at the collection listing */
+  alternates: LocalizedPaths;
+  /** Locales the article is written in */
+  locales: string[];
+}
+
+export function articleTranslations(entry: Article, entries: Article[]): ArticleTranslations {
+  const key = translationKeyOf(entry);
+  const variants = entries.filter((other) => other.collection === entry.collection && translationKeyOf(other) === key);
+  const alternates: LocalizedPaths = Object.fromEntries(enabledLocaleCodes.map((code) => [code, `/${entry.collection}`]));
+
+  for (const variant of variants) alternates[variant.data.lang] = articlePath(variant);
+
+  return { alternates, locales: variants.map((variant) => variant.data.lang) };
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { mixColors, parseColor, toRgbaString } from './color';
+
+describe('parseColor', () => {
+  it('parses every hex length', () => {
+    expect(parseColor('#f80')).toEqual({ r: 255, g: 136, b: 0, a: 1 });
+    expect(parseColor('#ff880080')).toEqual({ r: 255, g: 136, b: 0, a: 128 / 255 });
+    expect(parseColor('#FF8800')).toEqual({ r: 255, g: 136, b: 0, a: 1 });
+  });
+
+  it('accepts the comma and space syntaxes of rgb(), with any alpha', () => {
+    expect(parseColor('rgba(234, 234, 234, 0.6)')).toEqual({ r: 234, g: 234, b: 234, a: 0.6 });
+    expect(parseColor('rgb(10 20 30 / .5)')).toEqual({ r: 10, g: 20, b: 30, a: 0.5 });
+    expect(parseColor('rgba(10, 20, 30, 1)')).toEqual({ r: 10, g: 20, b: 30, a: 1 });
+    expect(parseColor('rgb(100% 0% 50% / 25%)')).toEqual({ r: 255, g: 0, b: 128, a: 0.25 });
+  });
+
+  it('converts hsl(), oklab() and oklch()', () => {
+    expect(parseColor('hsl(120 100% 50%)')).toEqual({ r: 0, g: 255, b: 0, a: 1 });
+    expect(parseColor('hsla(0.5turn, 100%, 50%, 0.3)')).toEqual({ r: 0, g: 255, b: 255, a: 0.3 });
+    expect(parseColor('oklab(1 0 0)')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+    // oklch(62.8% 0.2577 29.23) is sRGB red
+    expect(parseColor('oklch(62.8% 0.2577 29.23)')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  });
+
+  it('handles transparent and clamps out-of-gamut channels', () => {
+    expect(parseColor('transparent')).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+    expect(parseColor('rgb(300 -5 0 / 2)')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+  });
+
+  it('uses the var() fallback outside the browser', () => {
+    expect(parseColor('var(--color-accent-primary, #000)')).toEqual({ r: 0, g: 0, b: 0, a: 1 });
+  });
+
+  it('returns the fallback for unparseable input', () => {
+    const fallback = { r: 1, g: 2, b: 3, a: 1 };
+    expect(parseColor('#12', fallback)).toBe(fallback);
+    expect(parseColor('rgb(1 2)', fallback)).toBe(fallback);
+    expect(parseColor('not-a-colour', null)).toBeNull();
+  });
+});
+
+describe('toRgbaString', () => {
+  it('scales and rounds the alpha', () => {
+    expect(toRgbaString({ r: 1, g: 2, b: 3, a: 0.6 }, 0.5)).toBe('rgba(1, 2, 3, 0.3)');
+    expect(toRgbaString({ r: 1, g: 2, b: 3, a: 1 / 3 })).toBe('rgba(1, 2, 3, 0.333)');
+  });
+});
+
+describe('mixColors', () => {
+  it('interpolates channels linearly', () => {
+    expect(mixColors({ r: 0, g: 0, b: 0, a: 0 }, { r: 255, g: 100, b: 50, a: 1 }, 0.5)).toEqual({ r: 128, g: 50, b: 25, a: 0.5 });
+  });
+});
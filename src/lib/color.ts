@@ -0,0 +1,184 @@
+/**
+ * Minimal CSS colour model for canvas drawing: parse any CSS colour once into
+ * RGBA channels, then build `rgba()` strings from numbers instead of regexes.
+ *
+ * Supported directly: hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(),
+ * hsl()/hsla(), oklab(), oklch(), `transparent` and `var(--token)` (resolved
+ * against :root). Anything else is handed to the browser's own parser.
+ */
+
+export interface RGBA {
+  /** 0–255 */
+  r: number;
+  g: number;
+  b: number;
+  /** 0–1 */
+  a: number;
+}
+
+const DEFAULT_FALLBACK: RGBA = { r: 255, g: 127, b: 80, a: 0.7 };
+
+const cache = new Map<string, RGBA | null>();
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+/** Number or percentage; `percentScale` is what 100% maps to */
+const parseNumber = (token: string, percentScale: number): number => {
+  if (token === 'none') return 0;
+  if (token.endsWith('%')) return (parseFloat(token) / 100) * percentScale;
+  return parseFloat(token);
+};
+
+const parseAlpha = (token: string | undefined): number =>
+  token === undefined ? 1 : clamp(parseNumber(token, 1), 0, 1);
+
+const parseHue = (token: string): number => {
+  if (token === 'none') return 0;
+  const value = parseFloat(token);
+  if (token.endsWith('turn')) return value * 360;
+  if (token.endsWith('grad')) return value * 0.9;
+  if (token.endsWith('rad')) return (value * 180) / Math.PI;
+  return value;
+};
+
+const parseHex = (hex: string): RGBA | null => {
+  const digits = hex.slice(1);
+  if (!/^[\da-f]+$/i.test(digits) || ![3, 4, 6, 8].includes(digits.length)) return null;
+
+  const full = digits.length <= 4 ? digits.replace(/./g, (d) => d + d) : digits;
+  const channel = (i: number) => parseInt(full.slice(i * 2, i * 2 + 2), 16);
+  return {
+    r: channel(0),
+    g: channel(1),
+    b: channel(2),
+    a: full.length === 8 ? channel(3) / 255 : 1,
+  };
+};
+
+const hslToRgb = (h: number, s: number, l: number): [number, number, number] => {
+  const hue = ((h % 360) + 360) % 360;
+  const k = (n: number) => (n + hue / 30) % 12;
+  const amount = s * Math.min(l, 1 - l);
+  const f = (n: number) => l - amount * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+};
+
+const linearToSrgb = (x: number) =>
+  x <= 0.0031308 ? 12.92 * x : 1.055 * Math.pow(x, 1 / 2.4) - 0.055;
+
+const oklabToRgb = (L: number, a: number, b: number): [number, number, number] => {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.291485548 * b) ** 3;
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ].map((x) => linearToSrgb(x) * 255) as [number, number, number];
+};
+
+const parseFunction = (input: string): RGBA | null => {
+  const match = input.match(/^([a-z]+)\((.*)\)$/);
+  if (!match) return null;
+
+  const [, name, body] = match;
+  // Both "r, g, b, a" and "r g b / a" syntaxes
+  const [channelPart, alphaPart] = body.split('/');
+  const tokens = channelPart.split(/[\s,]+/).filter(Boolean);
+  const alphaToken = alphaPart?.trim() || tokens[3];
+  if (tokens.length < 3) return null;
+
+  let rgb: [number, number, number];
+  switch (name) {
+    case 'rgb':
+    case 'rgba':
+      rgb = [0, 1, 2].map((i) => parseNumber(tokens[i], 255)) as [number, number, number];
+      break;
+    case 'hsl':
+    case 'hsla':
+      rgb = hslToRgb(parseHue(tokens[0]), parseNumber(tokens[1], 100) / 100, parseNumber(tokens[2], 100) / 100);
+      break;
+    case 'oklab':
+      rgb = oklabToRgb(parseNumber(tokens[0], 1), parseNumber(tokens[1], 0.4), parseNumber(tokens[2], 0.4));
+      break;
+    case 'oklch': {
+      const chroma = parseNumber(tokens[1], 0.4);
+      const hue = (parseHue(tokens[2]) * Math.PI) / 180;
+      rgb = oklabToRgb(parseNumber(tokens[0], 1), chroma * Math.cos(hue), chroma * Math.sin(hue));
+      break;
+    }
+    default:
+      return null;
+  }
+
+  if (rgb.some(Number.isNaN)) return null;
+  const [r, g, b] = rgb.map((channel) => Math.round(clamp(channel, 0, 255)));
+  return { r, g, b, a: parseAlpha(alphaToken) };
+};
+
+const resolveVariable = (input: string): string | null => {
+  const match = input.match(/^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/);
+  if (!match) return null;
+  if (typeof document === 'undefined') return match[2] ?? null;
+
+  const value = getComputedStyle(document.documentElement).getPropertyValue(match[1]).trim();
+  return value || match[2] || null;
+};
+
+let probeContext: CanvasRenderingContext2D | null | undefined;
+
+// Named colours, color-mix(), lab() etc.: let the browser rasterise one pixel
+const parseWithBrowser = (input: string): RGBA | null => {
+  if (typeof document === 'undefined') return null;
+  if (probeContext === undefined) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    probeContext = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  if (!probeContext || !CSS.supports('color', input)) return null;
+
+  probeContext.clearRect(0, 0, 1, 1);
+  probeContext.fillStyle = input;
+  probeContext.fillRect(0, 0, 1, 1);
+  const [r, g, b, a] = probeContext.getImageData(0, 0, 1, 1).data;
+  return { r, g, b, a: a / 255 };
+};
+
+const parseUncached = (input: string): RGBA | null => {
+  if (input === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (input.startsWith('#')) return parseHex(input);
+  if (input.startsWith('var(')) {
+    const resolved = resolveVariable(input);
+    return resolved ? parseColor(resolved, null) : null;
+  }
+  return parseFunction(input) ?? parseWithBrowser(input);
+};
+
+/**
+ * Parses a CSS colour. Results are cached, except `var()` which depends on
+ * the current theme. Returns `fallback` for unparseable input.
+ */
+export function parseColor(input: string, fallback?: RGBA): RGBA;
+export function parseColor(input: string, fallback: null): RGBA | null;
+export function parseColor(input: string, fallback: RGBA | null = DEFAULT_FALLBACK): RGBA | null {
+  const trimmed = input.trim();
+  // Custom property names are case-sensitive
+  if (trimmed.startsWith('var(')) return parseUncached(trimmed) ?? fallback;
+
+  const key = trimmed.toLowerCase();
+  if (!cache.has(key)) cache.set(key, parseUncached(key));
+  return cache.get(key) ?? fallback;
+}
+
+/** `rgba()` string, optionally with the alpha scaled (e.g. for gradient stops) */
+export const toRgbaString = ({ r, g, b, a }: RGBA, alphaScale = 1): string =>
+  `rgba(${r}, ${g}, ${b}, ${+clamp(a * alphaScale, 0, 1).toFixed(3)})`;
+
+/** Linear interpolation between two colours, t ∈ [0, 1] */
+export const mixColors = (from: RGBA, to: RGBA, t: number): RGBA => ({
+  r: Math.round(from.r + (to.r - from.r) * t),
+  g: Math.round(from.g + (to.g - from.g) * t),
+  b: Math.round(from.b + (to.b - from.b) * t),
+  a: from.a + (to.a - from.a) * t,
+});
@@ -0,0 +1,61 @@
+/**
+ * Frame clocks for CometNetworkEngine. The engine never touches
+ * requestAnimationFrame or performance.now() directly, so it can be driven by
+ * the browser, by gsap.ticker, or step by step with `createManualClock()`.
+ */
+
+export type FrameCallback = (time: number) => void;
+
+export interface Clock {
+  /** Milliseconds, same time base as the frame callback argument */
+  now(): number;
+  requestFrame(callback: FrameCallback): number;
+  cancelFrame(handle: number): void;
+}
+
+/**
+ * requestAnimationFrame where available (windows, dedicated workers in current
+ * engines), otherwise a ~60 fps timer.
+ */
+export const animationFrameClock: Clock = {
+  now: () => performance.now(),
+  requestFrame: (callback) =>
+    typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame(callback)
+      : (setTimeout(() => callback(performance.now()), 16) as unknown as number),
+  cancelFrame: (handle) => {
+    if (typeof cancelAnimationFrame === 'function') cancelAnimationFrame(handle);
+    else clearTimeout(handle);
+  },
+};
+
+export interface ManualClock extends Clock {
+  /** Moves time forward and runs the frame callbacks that were pending */
+  advance(ms: number): void;
+}
+
+/** Deterministic clock: frames run only when `advance()` is called */
+export function createManualClock(startTime = 0): ManualClock {
+  let time = startTime;
+  let nextHandle = 1;
+  const pending = new Map<number, FrameCallback>();
+
+  return {
+    now: () => time,
+    requestFrame: (callback) => {
+      const handle = nextHandle++;
+      pending.set(handle, callback);
+      return handle;
+    },
+    cancelFrame: (handle) => {
+      pending.delete(handle);
+    },
+    advance: (ms) => {
+      time += ms;
+      // Callbacks requested while running belong to the next frame
+      const callbacks = [...pending.values()];
+      pending.clear();
+      callbacks.forEach((callback) => callback(time));
+    },
+  };
+}
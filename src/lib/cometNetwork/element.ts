@@ -0,0 +1,130 @@
+/**
+ * <comet-network> custom element: the comet network without React.
+ *
+ *   <script type="module">
+ *     import { defineCometNetworkElement } from '../lib/cometNetwork';
+ *     defineCometNetworkElement();
+ *   </script>
+ *   <comet-network num-points="400" link-weighting="short" interactive
+ *     palette-dark="rgba(255, 127, 80, 0.8); var(--accent-warm)"></comet-network>
+ *
+ * Every CometNetworkOptions field is an attribute in kebab-case. Palettes are
+ * `;`-separated CSS colours: `palette`, or `palette-light` / `palette-dark`
+ * which follow the site theme. Reduced motion (src/theme/motion.ts) turns the
+ * animation into a still frame. The element fills its own box (display: block),
+ * so give it a size.
+ */
+import { subscribe as subscribeTheme, getTheme } from '../../theme';
+import { subscribe as subscribeMotion, getMotion } from '../../theme/motion';
+import { mountCometNetwork, type CometNetworkController } from './mount';
+import { DEFAULT_OPTIONS, DEFAULT_PALETTE, type CometNetworkOptions } from './simulation';
+
+const kebabCase = (name: string) => name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+const OPTION_ATTRIBUTES = new Map(
+  (Object.keys(DEFAULT_OPTIONS) as (keyof CometNetworkOptions)[]).map((key) => [kebabCase(key), key])
+);
+
+const STYLES = `
+  :host { display: block; position: relative; }
+  canvas { position: absolute; inset: 0; width: 100%; height: 100%; pointer-events: none; }
+`;
+
+// Lets the module be imported during SSR, where HTMLElement does not exist
+const BaseElement = (typeof HTMLElement === 'undefined' ? class {} : HTMLElement) as typeof HTMLElement;
+
+const parsePalette = (value: string | null): string[] | null => {
+  const colors = value?.split(';').map((color) => color.trim()).filter(Boolean);
+  return colors?.length ? colors : null;
+};
+
+export class CometNetworkElement extends BaseElement {
+  static get observedAttributes(): string[] {
+    return [...OPTION_ATTRIBUTES.keys(), 'palette', 'palette-light', 'palette-dark', 'interactive', 'max-pixel-ratio'];
+  }
+
+  private controller: CometNetworkController | null = null;
+  private unsubscribers: (() => void)[] = [];
+
+  connectedCallback(): void {
+    const root = this.shadowRoot ?? this.attachShadow({ mode: 'open' });
+    // A canvas handed to a worker cannot be reused, so every connection gets a fresh one
+    const canvas = document.createElement('canvas');
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+    root.replaceChildren(style, canvas);
+
+    this.controller = mountCometNetwork(canvas, {
+      container: this,
+      options: this.readOptions(),
+      palette: this.readPalette(),
+      interactive: this.hasAttribute('interactive'),
+      reducedMotion: getMotion().reduced,
+      maxPixelRatio: Number(this.getAttribute('max-pixel-ratio')) || undefined,
+    });
+    this.unsubscribers = [
+      subscribeTheme(() => this.controller?.setPalette(this.readPalette())),
+      subscribeMotion(({ reduced }) => this.controller?.setReducedMotion(reduced)),
+    ];
+  }
+
+  disconnectedCallback(): void {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    this.controller?.destroy();
+    this.controller = null;
+  }
+
+  attributeChangedCallback(name: string, oldValue: string | null, newValue: string | null): void {
+    if (!this.controller || oldValue === newValue) return;
+
+    if (name === 'interactive') {
+      this.controller.setInteractive(newValue !== null);
+    } else if (name.startsWith('palette')) {
+      this.controller.setPalette(this.readPalette());
+    } else if (name === 'max-pixel-ratio') {
+      // Read once when the canvas is set up
+      this.disconnectedCallback();
+      this.connectedCallback();
+    } else {
+      this.controller.update(this.readOptions());
+    }
+  }
+
+  /** Attributes that are present, converted to the type of their default */
+  private readOptions(): Partial<CometNetworkOptions> {
+    const options: Record<string, unknown> = {};
+    for (const [attribute, key] of OPTION_ATTRIBUTES) {
+      const value = this.getAttribute(attribute);
+      if (value === null) continue;
+
+      const fallback = DEFAULT_OPTIONS[key];
+      if (typeof fallback === 'boolean') {
+        options[key] = value !== 'false';
+      } else if (typeof fallback === 'number' || key === 'seed') {
+        const number = Number(value);
+        if (value.trim() !== '' && Number.isFinite(number)) options[key] = number;
+      } else {
+        options[key] = value;
+      }
+    }
+    return options as Partial<CometNetworkOptions>;
+  }
+
+  private readPalette(): readonly string[] {
+    const { theme } = getTheme();
+    return parsePalette(this.getAttribute(`palette-${theme}`)) ?? parsePalette(this.getAttribute('palette')) ?? DEFAULT_PALETTE;
+  }
+}
+
+/** Registers the element once; safe to call from several bundles or during SSR */
+export function defineCometNetworkElement(tagName = 'comet-network'): void {
+  if (typeof customElements === 'undefined' || customElements.get(tagName)) return;
+  customElements.define(tagName, class extends CometNetworkElement {});
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'comet-network': CometNetworkElement;
+  }
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createManualClock } from './clock';
+import { CometNetworkEngine, type CometRenderer } from './engine';
+import { Canvas2DRenderer } from './renderers/canvas2d';
+import { createMockContext } from './testing';
+
+const options = { numPoints: 100, connectDistance: 200, seed: 7, adaptiveQuality: false, spawnDelay: 0, spawnInterval: 0.1 };
+
+function createEngine() {
+  const clock = createManualClock();
+  const renderer: CometRenderer = { resize: vi.fn(), render: vi.fn() };
+  const engine = new CometNetworkEngine(renderer, { clock, options });
+  engine.resize(400, 300, 2);
+  return { clock, renderer, engine };
+}
+
+describe('CometNetworkEngine', () => {
+  it('renders once per clock frame while running', () => {
+    const { clock, renderer, engine } = createEngine();
+    expect(renderer.render).toHaveBeenCalledTimes(1); // the resize redraw
+
+    engine.start();
+    for (let i = 0; i < 10; i++) clock.advance(16);
+    expect(renderer.render).toHaveBeenCalledTimes(11);
+    expect(engine.simulation.lines.length).toBeGreaterThan(0);
+
+    engine.stop();
+    clock.advance(16);
+    expect(renderer.render).toHaveBeenCalledTimes(11);
+    expect(engine.running).toBe(false);
+  });
+
+  it('passes the clock delta to the simulation', () => {
+    const { clock, engine } = createEngine();
+    const tick = vi.spyOn(engine.simulation, 'tick');
+    engine.start();
+    clock.advance(20);
+    clock.advance(30);
+    expect(tick.mock.calls.map(([delta]) => delta)).toEqual([20, 30]);
+  });
+
+  it('renders a still frame after simulating ahead, without starting the loop', () => {
+    const { clock, renderer, engine } = createEngine();
+    engine.start();
+    engine.renderStill(1);
+
+    expect(engine.running).toBe(false);
+    expect(engine.simulation.lines.length).toBeGreaterThan(0);
+    clock.advance(16);
+    expect(renderer.render).toHaveBeenCalledTimes(2);
+  });
+
+  it('is reproducible with a seed', () => {
+    const positions = () => {
+      const { clock, engine } = createEngine();
+      engine.start();
+      for (let i = 0; i < 60; i++) clock.advance(16);
+      return engine.simulation.lines.map((line) => [line.p1.id, line.p2.id, line.headProgress]);
+    };
+    expect(positions()).toEqual(positions());
+  });
+
+  it('draws through a 2D context scaled to the pixel ratio', () => {
+    const { ctx, calls, canvas } = createMockContext();
+    const clock = createManualClock();
+    const engine = new CometNetworkEngine(new Canvas2DRenderer(ctx), { clock, options: { ...options, pointColor: '#fff' } });
+    engine.resize(400, 300, 2);
+
+    expect(canvas).toEqual({ width: 800, height: 600 });
+    expect(calls.slice(0, 2)).toEqual(['setTransform', 'clearRect']);
+    expect(calls.filter((call) => call === 'arc')).toHaveLength(100);
+
+    engine.start();
+    for (let i = 0; i < 30; i++) clock.advance(16);
+    expect(calls).toContain('createLinearGradient');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Framework-agnostic comet network: the simulation model plus a frame loop.
+ *
+ *   const engine = new CometNetworkEngine(new Canvas2DRenderer(ctx), { options, palette });
+ *   engine.resize(width, height, devicePixelRatio);
+ *   engine.start();
+ *   engine.update({ maxActiveLines: 10 });
+ *   engine.stop();
+ *
+ * Time comes from an injectable `Clock` and pixels go to a `CometRenderer`, so
+ * the same engine runs on the main thread, in a worker, or under a manual clock
+ * with a recording renderer.
+ */
+import type { RGBA } from '../color';
+import { animationFrameClock, type Clock } from './clock';
+import { CometNetworkSimulation, type CometNetworkOptions } from './simulation';
+
+export type PointerAction = 'move' | 'down' | 'leave';
+
+// Simulation step used when fast-forwarding to a still frame
+const STILL_STEP_MS = 1000 / 60;
+
+export interface CometRenderer {
+  /** Logical size in CSS pixels and the backing store scale */
+  resize(width: number, height: number, pixelRatio: number): void;
+  render(scene: CometNetworkSimulation): void;
+  destroy?(): void;
+}
+
+export interface CometNetworkEngineInit {
+  clock?: Clock;
+  options?: Partial<CometNetworkOptions>;
+  /** Already parsed: workers cannot resolve `var()` or named colours */
+  palette?: readonly RGBA[];
+}
+
+export class CometNetworkEngine {
+  readonly simulation: CometNetworkSimulation;
+  private readonly clock: Clock;
+  private frameHandle: number | null = null;
+  private lastFrameTime = 0;
+
+  constructor(private readonly renderer: CometRenderer, { clock = animationFrameClock, options, palette }: CometNetworkEngineInit = {}) {
+    this.clock = clock;
+    this.simulation = new CometNetworkSimulation(options, palette);
+  }
+
+  get running(): boolean {
+    return this.frameHandle !== null;
+  }
+
+  start(): void {
+    if (this.running) return;
+    this.simulation.resetClock();
+    this.lastFrameTime = this.clock.now();
+    this.frameHandle = this.clock.requestFrame(this.loop);
+  }
+
+  stop(): void {
+    if (this.frameHandle === null) return;
+    this.clock.cancelFrame(this.frameHandle);
+    this.frameHandle = null;
+  }
+
+  update(options: Partial<CometNetworkOptions>): void {
+    this.simulation.setOptions(options);
+  }
+
+  setPalette(colors: readonly RGBA[], animate = true): void {
+    this.simulation.setPalette(colors, animate);
+  }
+
+  resize(width: number, height: number, pixelRatio = 1): void {
+    this.renderer.resize(width, height, pixelRatio);
+    this.simulation.resize(width, height);
+    // Resizing clears the canvas; redraw right away instead of waiting for (or without) a frame
+    this.renderer.render(this.simulation);
+  }
+
+  pointer(action: PointerAction, x = 0, y = 0): void {
+    if (action === 'move') this.simulation.pointerMove(x, y);
+    else if (action === 'down') this.simulation.pointerDown(x, y);
+    else this.simulation.pointerLeave();
+  }
+
+  /**
+   * Stops the loop and renders a still frame, e.g. for reduced motion.
+   * `advanceSeconds` first simulates ahead in fixed steps so comets are mid-flight.
+   */
+  renderStill(advanceSeconds = 0): void {
+    this.stop();
+    for (let elapsed = 0; elapsed < advanceSeconds * 1000; elapsed += STILL_STEP_MS) {
+      this.simulation.tick(STILL_STEP_MS);
+    }
+    this.renderer.render(this.simulation);
+  }
+
+  /** Advances by `deltaMs` and renders one frame, independently of the clock */
+  step(deltaMs: number): void {
+    this.simulation.tick(deltaMs);
+    this.renderer.render(this.simulation);
+  }
+
+  destroy(): void {
+    this.stop();
+    this.renderer.destroy?.();
+  }
+
+  private loop = (time: number): void => {
+    this.frameHandle = this.clock.requestFrame(this.loop);
+    this.step(time - this.lastFrameTime);
+    this.lastFrameTime = time;
+  };
+}
@@ -0,0 +1,174 @@
+import gsap from 'gsap';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CometNetworkEngine } from './engine';
+import { createNetworkHost, gsapTickerClock } from './hosts';
+import { Canvas2DRenderer } from './renderers/canvas2d';
+import { createMockContext } from './testing';
+
+class FakeWorker {
+  static last: FakeWorker;
+  onmessage: ((event: { data: unknown }) => void) | null = null;
+  onerror: ((event: { message: string; preventDefault(): void }) => void) | null = null;
+  onmessageerror: (() => void) | null = null;
+  postMessage = vi.fn();
+  terminate = vi.fn();
+
+  constructor() {
+    FakeWorker.last = this;
+  }
+
+  fail(message: string) {
+    this.onerror?.({ message, preventDefault: () => {} });
+  }
+}
+
+function createCanvas() {
+  const mock = createMockContext();
+  return {
+    mock,
+    canvas: {
+      transferControlToOffscreen: vi.fn(() => ({ offscreen: true })),
+      getContext: vi.fn(() => mock.ctx),
+    } as unknown as HTMLCanvasElement,
+  };
+}
+
+const messageTypes = (worker: FakeWorker) => worker.postMessage.mock.calls.map(([message]) => message.type);
+
+describe('createNetworkHost with a worker', () => {
+  beforeEach(() => {
+    vi.stubGlobal('Worker', FakeWorker);
+    vi.stubGlobal('OffscreenCanvas', class {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('transfers the canvas only once the worker is ready, then replays queued calls', () => {
+    const { canvas } = createCanvas();
+    const host = createNetworkHost(canvas, {}, []);
+    host.resize(300, 200, 2);
+    host.start();
+
+    expect(canvas.transferControlToOffscreen).not.toHaveBeenCalled();
+    expect(FakeWorker.last.postMessage).not.toHaveBeenCalled();
+
+    FakeWorker.last.onmessage?.({ data: { type: 'ready' } });
+
+    expect(canvas.transferControlToOffscreen).toHaveBeenCalledOnce();
+    expect(messageTypes(FakeWorker.last)).toEqual(['init', 'resize', 'running']);
+    expect(host.kind).toBe('worker');
+
+    host.stop();
+    expect(messageTypes(FakeWorker.last).at(-1)).toBe('running');
+  });
+
+  it('draws on the main thread when the worker fails to load', () => {
+    const { canvas, mock } = createCanvas();
+    const host = createNetworkHost(canvas, { numPoints: 10 }, []);
+    host.resize(300, 200, 2);
+
+    FakeWorker.last.fail('blocked by CSP');
+
+    expect(canvas.transferControlToOffscreen).not.toHaveBeenCalled();
+    expect(FakeWorker.last.terminate).toHaveBeenCalledOnce();
+    expect(console.warn).toHaveBeenCalled();
+    expect(host.kind).toBe('main');
+    // The queued resize reached the main-thread renderer
+    expect(mock.canvas).toEqual({ width: 600, height: 400 });
+    host.destroy();
+  });
+
+  it('draws on the main thread when the worker replies that it cannot draw', () => {
+    const { canvas } = createCanvas();
+    const host = createNetworkHost(canvas, {}, []);
+
+    FakeWorker.last.onmessage?.({ data: { type: 'error', message: 'no 2D context' } });
+
+    expect(canvas.transferControlToOffscreen).not.toHaveBeenCalled();
+    expect(FakeWorker.last.terminate).toHaveBeenCalledOnce();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('did not start'), 'no 2D context');
+    expect(host.kind).toBe('main');
+    host.destroy();
+  });
+
+  it('reports a worker that cannot draw on the canvas it took', () => {
+    const { canvas } = createCanvas();
+    const host = createNetworkHost(canvas, {}, []);
+    FakeWorker.last.onmessage?.({ data: { type: 'ready' } });
+
+    FakeWorker.last.onmessage?.({ data: { type: 'error', message: 'no 2D context' } });
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('worker failed'), 'no 2D context');
+    expect(host.kind).toBe('worker');
+    expect(canvas.getContext).not.toHaveBeenCalled();
+  });
+
+  it('reports a worker that fails after taking the canvas', () => {
+    const { canvas } = createCanvas();
+    const host = createNetworkHost(canvas, {}, []);
+    FakeWorker.last.onmessage?.({ data: { type: 'ready' } });
+
+    FakeWorker.last.fail('boom');
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('worker failed'), 'boom');
+    expect(host.kind).toBe('worker');
+    expect(canvas.getContext).not.toHaveBeenCalled();
+  });
+
+  it('terminates a worker that is still loading on destroy', () => {
+    const { canvas } = createCanvas();
+    const host = createNetworkHost(canvas, {}, []);
+    host.destroy();
+
+    FakeWorker.last.onmessage?.({ data: { type: 'ready' } });
+    expect(FakeWorker.last.terminate).toHaveBeenCalledOnce();
+    expect(canvas.transferControlToOffscreen).not.toHaveBeenCalled();
+  });
+});
+
+// gsap may also dispatch a tick on its own when a listener wakes it up, so the
+// tests look at what each tick runs rather than at absolute counts
+describe('gsapTickerClock', () => {
+  it('runs a frame requested from a frame callback on the next tick', () => {
+    const frames: number[] = [];
+    const loop = () => {
+      frames.push(gsap.ticker.frame);
+      // Fails instead of hanging if the clock re-runs within one tick
+      if (frames.length > 100) throw new Error('frame callbacks ran in a loop');
+      if (frames.length < 3) gsapTickerClock.requestFrame(loop);
+    };
+    gsapTickerClock.requestFrame(loop);
+
+    for (let tick = 0; tick < 4; tick++) gsap.ticker.tick();
+    expect(frames).toHaveLength(3);
+    expect(new Set(frames).size).toBe(3);
+  });
+
+  it('drives the engine once per tick and not after stop()', () => {
+    const { ctx } = createMockContext();
+    const engine = new CometNetworkEngine(new Canvas2DRenderer(ctx), { clock: gsapTickerClock, options: { numPoints: 20 } });
+    engine.resize(200, 100, 1);
+    // Fails instead of hanging if the loop re-runs within one tick
+    const step = vi.spyOn(engine, 'step').mockImplementation(() => {
+      if (step.mock.calls.length > 100) throw new Error('engine loop ran away');
+    });
+
+    engine.start();
+    for (let tick = 0; tick < 5; tick++) {
+      const before = step.mock.calls.length;
+      gsap.ticker.tick();
+      expect(step.mock.calls.length - before).toBe(1);
+    }
+
+    engine.stop();
+    const stoppedAt = step.mock.calls.length;
+    gsap.ticker.tick();
+    expect(step).toHaveBeenCalledTimes(stoppedAt);
+    engine.destroy();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Where the comet network runs. `createNetworkHost` prefers a Web Worker with
+ * an OffscreenCanvas and falls back to a CometNetworkEngine on the main thread
+ * (driven by gsap.ticker, so it stays in step with ScrollTrigger) where that is
+ * unsupported or the worker fails to load. Both hosts expose the same interface.
+ */
+import gsap from 'gsap';
+import type { RGBA } from '../color';
+import type { Clock, FrameCallback } from './clock';
+import { CometNetworkEngine, type PointerAction } from './engine';
+import { Canvas2DRenderer } from './renderers/canvas2d';
+import type { CometNetworkOptions } from './simulation';
+import type { WorkerMessage, WorkerReply } from './worker';
+
+export interface NetworkHost {
+  readonly kind: 'worker' | 'main';
+  resize(width: number, height: number, pixelRatio: number): void;
+  update(options: Partial<CometNetworkOptions>): void;
+  setPalette(colors: RGBA[], animate: boolean): void;
+  pointer(action: PointerAction, x?: number, y?: number): void;
+  start(): void;
+  stop(): void;
+  /** Stops and draws one frame, `advanceSeconds` into the simulation */
+  renderStill(advanceSeconds: number): void;
+  destroy(): void;
+}
+
+export const supportsOffscreenWorker = (canvas: HTMLCanvasElement): boolean =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof canvas.transferControlToOffscreen === 'function';
+
+const tickerFrames = new Map<number, FrameCallback>();
+let nextTickerHandle = 1;
+let tickerListening = false;
+
+// A single ticker listener serves every pending frame, added once and removed
+// when nothing is pending. gsap runs listeners added during a tick in that
+// same tick, so adding one per frame would let a loop that re-requests from
+// its callback spin forever; callbacks requested here wait for the next tick.
+const runTickerFrames = () => {
+  const time = gsap.ticker.time * 1000;
+  const callbacks = [...tickerFrames.values()];
+  tickerFrames.clear();
+  callbacks.forEach((callback) => callback(time));
+  if (tickerFrames.size === 0) stopTickerFrames();
+};
+
+const stopTickerFrames = () => {
+  gsap.ticker.remove(runTickerFrames);
+  tickerListening = false;
+};
+
+/** One-shot frames on gsap.ticker; its time is in seconds */
+export const gsapTickerClock: Clock = {
+  now: () => gsap.ticker.time * 1000,
+  requestFrame: (callback: FrameCallback) => {
+    const handle = nextTickerHandle++;
+    tickerFrames.set(handle, callback);
+    if (!tickerListening) {
+      tickerListening = true;
+      gsap.ticker.add(runTickerFrames);
+    }
+    return handle;
+  },
+  cancelFrame: (handle) => {
+    tickerFrames.delete(handle);
+  },
+};
+
+// Once the worker owns the canvas: every call becomes a message
+function createTransferredHost(worker: Worker, canvas: OffscreenCanvas, options: Partial<CometNetworkOptions>, palette: RGBA[]): NetworkHost {
+  const post = (message: WorkerMessage, transfer: Transferable[] = []) => worker.postMessage(message, transfer);
+
+  post({ type: 'init', canvas, options, palette }, [canvas]);
+
+  return {
+    kind: 'worker',
+    resize: (width, height, pixelRatio) => post({ type: 'resize', width, height, pixelRatio }),
+    update: (next) => post({ type: 'options', options: next }),
+    setPalette: (colors, animate) => post({ type: 'palette', colors, animate }),
+    pointer: (action, x = 0, y = 0) => post({ type: 'pointer', action, x, y }),
+    start: () => post({ type: 'running', running: true }),
+    stop: () => post({ type: 'running', running: false }),
+    renderStill: (advanceSeconds) => post({ type: 'still', advanceSeconds }),
+    destroy: () => worker.terminate(),
+  };
+}
+
+type HostCall = (host: NetworkHost) => void;
+
+/**
+ * A worker that fails to load (blocked by CSP, missing chunk) only reports it
+ * through an asynchronous `error` event, and a canvas already transferred to
+ * it could not be drawn on the main thread any more. So the canvas is handed
+ * over only after the worker posts 'ready'; until then calls are queued and
+ * then replayed on the worker, or on the main thread if loading failed or
+ * the worker replied that it cannot draw.
+ */
+function createWorkerHost(canvas: HTMLCanvasElement, options: Partial<CometNetworkOptions>, palette: RGBA[]): NetworkHost {
+  const worker = new Worker(new URL('./worker.ts', import.meta.url), { type: 'module' });
+  let target: NetworkHost | null = null;
+  let queue: HostCall[] | null = [];
+
+  const takeOver = (host: NetworkHost) => {
+    const calls = queue ?? [];
+    queue = null;
+    target = host;
+    calls.forEach((call) => call(host));
+  };
+
+  const fallBack = (reason: unknown) => {
+    worker.terminate();
+    console.warn('CometNetwork: the worker did not start, drawing on the main thread instead.', reason);
+    takeOver(createMainThreadHost(canvas, options, palette));
+  };
+
+  const fail = (reason: unknown) => {
+    if (queue) fallBack(reason);
+    // The worker owns the canvas now; nothing can take over its drawing
+    else console.error('CometNetwork: the worker failed, the canvas stops animating.', reason);
+  };
+
+  worker.onmessage = (event: MessageEvent<WorkerReply>) => {
+    if (event.data.type === 'error') {
+      fail(event.data.message);
+      return;
+    }
+    if (!queue) return;
+    let offscreen: OffscreenCanvas;
+    try {
+      offscreen = canvas.transferControlToOffscreen();
+    } catch (error) {
+      fallBack(error);
+      return;
+    }
+    takeOver(createTransferredHost(worker, offscreen, options, palette));
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    fail(event.message);
+  };
+
+  worker.onmessageerror = () => {
+    console.error('CometNetwork: a message from the worker could not be deserialised.');
+  };
+
+  const call = (fn: HostCall) => {
+    if (target) fn(target);
+    else queue?.push(fn);
+  };
+
+  return {
+    // The host it is meant to become while the worker is loading
+    get kind() {
+      return target?.kind ?? 'worker';
+    },
+    resize: (width, height, pixelRatio) => call((host) => host.resize(width, height, pixelRatio)),
+    update: (next) => call((host) => host.update(next)),
+    setPalette: (colors, animate) => call((host) => host.setPalette(colors, animate)),
+    // Stale pointer input is not worth replaying
+    pointer: (action, x, y) => target?.pointer(action, x, y),
+    start: () => call((host) => host.start()),
+    stop: () => call((host) => host.stop()),
+    renderStill: (advanceSeconds) => call((host) => host.renderStill(advanceSeconds)),
+    destroy: () => {
+      if (target) {
+        target.destroy();
+      } else {
+        queue = null;
+        worker.terminate();
+      }
+    },
+  };
+}
+
+function createMainThreadHost(canvas: HTMLCanvasElement, options: Partial<CometNetworkOptions>, palette: RGBA[]): NetworkHost {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('CometNetwork: 2D canvas context is unavailable');
+
+  const engine = new CometNetworkEngine(new Canvas2DRenderer(ctx), { clock: gsapTickerClock, options, palette });
+
+  return {
+    kind: 'main',
+    resize: (width, height, pixelRatio) => engine.resize(width, height, pixelRatio),
+    update: (next) => engine.update(next),
+    setPalette: (colors, animate) => engine.setPalette(colors, animate),
+    pointer: (action, x, y) => engine.pointer(action, x, y),
+    start: () => engine.start(),
+    stop: () => engine.stop(),
+    renderStill: (advanceSeconds) => engine.renderStill(advanceSeconds),
+    destroy: () => engine.destroy(),
+  };
+}
+
+export function createNetworkHost(canvas: HTMLCanvasElement, options: Partial<CometNetworkOptions>, palette: RGBA[]): NetworkHost {
+  if (supportsOffscreenWorker(canvas)) {
+    try {
+      return createWorkerHost(canvas, options, palette);
+    } catch {
+      // Worker construction refused synchronously (e.g. a SecurityError): draw on the main thread
+    }
+  }
+  return createMainThreadHost(canvas, options, palette);
+}
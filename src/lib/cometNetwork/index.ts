@@ -0,0 +1,23 @@
+/**
+ * Comet network public API.
+ *
+ *   Engine level:  CometNetworkEngine + a CometRenderer + an optional Clock
+ *   DOM level:     mountCometNetwork(canvas, { options, palette, interactive })
+ *   No framework:  defineCometNetworkElement() → <comet-network>
+ *
+ * The React island (components/react/InteractiveNetwork.jsx) is a thin wrapper
+ * around mountCometNetwork.
+ */
+export { animationFrameClock, createManualClock, type Clock, type FrameCallback, type ManualClock } from './clock';
+export { CometNetworkElement, defineCometNetworkElement } from './element';
+export { CometNetworkEngine, type CometNetworkEngineInit, type CometRenderer, type PointerAction } from './engine';
+export { createNetworkHost, gsapTickerClock, supportsOffscreenWorker, type NetworkHost } from './hosts';
+export { mountCometNetwork, type CometNetworkController, type MountCometNetworkOptions } from './mount';
+export { Canvas2DRenderer, type Context2D } from './renderers/canvas2d';
+export {
+  CometNetworkSimulation,
+  DEFAULT_OPTIONS,
+  DEFAULT_PALETTE,
+  type CometNetworkOptions,
+  type NetworkPoint,
+} from './simulation';
@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createManualClock } from './clock';
+import { CometNetworkEngine } from './engine';
+import type { NetworkHost } from './hosts';
+import { mountCometNetwork } from './mount';
+import { Canvas2DRenderer } from './renderers/canvas2d';
+import { createMockContext } from './testing';
+
+const engines = vi.hoisted(() => [] as CometNetworkEngine[]);
+
+// A main-thread host on a manual clock, so the tests can see whether the loop runs
+vi.mock('./hosts', () => ({
+  createNetworkHost: (_canvas: unknown, options: object, palette: []): NetworkHost => {
+    const engine = new CometNetworkEngine(new Canvas2DRenderer(createMockContext().ctx), {
+      clock: createManualClock(),
+      options: { ...options, numPoints: 20 },
+      palette,
+    });
+    engines.push(engine);
+    return {
+      kind: 'main',
+      resize: (width, height, pixelRatio) => engine.resize(width, height, pixelRatio),
+      update: (next) => engine.update(next),
+      setPalette: (colors, animate) => engine.setPalette(colors, animate),
+      pointer: (action, x, y) => engine.pointer(action, x, y),
+      start: () => engine.start(),
+      stop: () => engine.stop(),
+      renderStill: (advanceSeconds) => engine.renderStill(advanceSeconds),
+      destroy: () => engine.destroy(),
+    };
+  },
+}));
+
+let intersection: ((entries: { isIntersecting: boolean }[]) => void) | undefined;
+let resizeCallback: (() => void) | undefined;
+const observers = { disconnected: 0 };
+
+class FakeIntersectionObserver {
+  constructor(callback: typeof intersection) {
+    intersection = callback;
+  }
+  observe() {}
+  disconnect() {
+    observers.disconnected++;
+  }
+}
+
+class FakeResizeObserver {
+  constructor(callback: typeof resizeCallback) {
+    resizeCallback = callback;
+  }
+  observe() {}
+  disconnect() {
+    observers.disconnected++;
+  }
+}
+
+function setup(config: Parameters<typeof mountCometNetwork>[1] = {}) {
+  const visibilityListeners = new Set<() => void>();
+  const fakeDocument = {
+    hidden: false,
+    addEventListener: (_type: string, listener: () => void) => visibilityListeners.add(listener),
+    removeEventListener: (_type: string, listener: () => void) => visibilityListeners.delete(listener),
+  };
+  vi.stubGlobal('document', fakeDocument);
+
+  const container = { offsetWidth: 800, offsetHeight: 600, addEventListener: vi.fn(), removeEventListener: vi.fn() };
+  const canvas = { parentElement: container } as unknown as HTMLCanvasElement;
+  const controller = mountCometNetwork(canvas, config);
+  const engine = engines.at(-1)!;
+
+  return {
+    controller,
+    engine,
+    container,
+    visibilityListeners,
+    setHidden(hidden: boolean) {
+      fakeDocument.hidden = hidden;
+      visibilityListeners.forEach((listener) => listener());
+    },
+    setOnScreen(isIntersecting: boolean) {
+      intersection?.([{ isIntersecting }]);
+    },
+  };
+}
+
+describe('mountCometNetwork', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal('window', { devicePixelRatio: 2 });
+    vi.stubGlobal('IntersectionObserver', FakeIntersectionObserver);
+    vi.stubGlobal('ResizeObserver', FakeResizeObserver);
+    observers.disconnected = 0;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  describe('pausing', () => {
+    it('stops the clock while the canvas is off screen and restarts it when it returns', () => {
+      const { engine, setOnScreen } = setup();
+      expect(engine.running).toBe(true);
+
+      setOnScreen(false);
+      expect(engine.running).toBe(false);
+
+      setOnScreen(true);
+      expect(engine.running).toBe(true);
+    });
+
+    it('stops the clock in a hidden tab', () => {
+      const { engine, setHidden } = setup();
+
+      setHidden(true);
+      expect(engine.running).toBe(false);
+
+      setHidden(false);
+      expect(engine.running).toBe(true);
+    });
+
+    it('needs both a visible tab and an on-screen canvas to run', () => {
+      const { engine, setHidden, setOnScreen } = setup();
+
+      setOnScreen(false);
+      setHidden(false);
+      expect(engine.running).toBe(false);
+
+      setHidden(true);
+      setOnScreen(true);
+      expect(engine.running).toBe(false);
+
+      setHidden(false);
+      expect(engine.running).toBe(true);
+    });
+  });
+
+  describe('resizing', () => {
+    it('sizes the scene to the container at mount, capped at maxPixelRatio', () => {
+      const resize = vi.spyOn(CometNetworkEngine.prototype, 'resize');
+      setup({ maxPixelRatio: 1.5 });
+      expect(resize).toHaveBeenLastCalledWith(800, 600, 1.5);
+      resize.mockRestore();
+    });
+
+    it('remaps the scene once, 150 ms after the last size change', () => {
+      const { engine, container } = setup();
+      const resize = vi.spyOn(engine, 'resize');
+
+      container.offsetWidth = 500;
+      resizeCallback?.();
+      vi.advanceTimersByTime(100);
+      container.offsetHeight = 300;
+      resizeCallback?.();
+      vi.advanceTimersByTime(149);
+      expect(resize).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(1);
+      expect(resize).toHaveBeenCalledExactlyOnceWith(500, 300, 2);
+    });
+  });
+
+  describe('reduced motion', () => {
+    it('shows a still frame and never starts the clock', () => {
+      const renderStill = vi.spyOn(CometNetworkEngine.prototype, 'renderStill');
+      const { engine, setOnScreen, setHidden } = setup({ reducedMotion: true });
+
+      expect(renderStill).toHaveBeenCalledWith(4);
+      expect(engine.running).toBe(false);
+
+      setOnScreen(true);
+      setHidden(false);
+      expect(engine.running).toBe(false);
+      renderStill.mockRestore();
+    });
+
+    it('freezes on the current frame when switched on and resumes when switched off', () => {
+      const { controller, engine, setOnScreen } = setup();
+      const renderStill = vi.spyOn(engine, 'renderStill');
+
+      controller.setReducedMotion(true);
+      expect(engine.running).toBe(false);
+      expect(renderStill).toHaveBeenCalledWith(0);
+
+      controller.setReducedMotion(false);
+      expect(engine.running).toBe(true);
+
+      // Off screen, turning motion back on does not start the loop
+      controller.setReducedMotion(true);
+      setOnScreen(false);
+      controller.setReducedMotion(false);
+      expect(engine.running).toBe(false);
+    });
+  });
+
+  it('stops the clock and lets go of the observers, listeners and pending resize on destroy', () => {
+    const { controller, engine, container, visibilityListeners } = setup({ interactive: true });
+    const resize = vi.spyOn(engine, 'resize');
+    resizeCallback?.();
+
+    controller.destroy();
+    vi.advanceTimersByTime(150);
+
+    expect(engine.running).toBe(false);
+    expect(resize).not.toHaveBeenCalled();
+    expect(observers.disconnected).toBe(2);
+    expect(visibilityListeners.size).toBe(0);
+    expect(container.removeEventListener).toHaveBeenCalledWith('pointermove', expect.any(Function), expect.anything());
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * DOM glue shared by the React island and the <comet-network> element: picks a
+ * host, follows the container size and device pixel ratio, pauses offscreen or
+ * in hidden tabs, and forwards pointer input when interactive.
+ *
+ * With `reducedMotion` (see src/theme/motion.ts) the loop never runs: the
+ * canvas shows a still frame and pointer input is ignored.
+ *
+ * Colours are accepted as any CSS colour (including `var(--token)`) and parsed
+ * here, on the main thread, before they reach a possible worker.
+ */
+import { parseColor, toRgbaString } from '../color';
+import { createNetworkHost, type NetworkHost } from './hosts';
+import { DEFAULT_PALETTE, type CometNetworkOptions } from './simulation';
+
+export interface MountCometNetworkOptions {
+  /** Element the canvas is sized to and that receives pointer input; defaults to the canvas parent */
+  container?: HTMLElement;
+  options?: Partial<CometNetworkOptions>;
+  palette?: readonly string[];
+  interactive?: boolean;
+  reducedMotion?: boolean;
+  maxPixelRatio?: number;
+}
+
+export interface CometNetworkController {
+  readonly host: NetworkHost;
+  update(options: Partial<CometNetworkOptions>): void;
+  /** Colours are re-parsed, so call it again after a theme change even if the tokens are the same */
+  setPalette(colors: readonly string[], animate?: boolean): void;
+  setInteractive(enabled: boolean): void;
+  setReducedMotion(reduced: boolean): void;
+  destroy(): void;
+}
+
+// At most one pointermove per interval
+const POINTER_THROTTLE_MS = 32;
+// Quiet period after the last size change before the scene is remapped
+const RESIZE_DEBOUNCE_MS = 150;
+// How far into the animation the reduced-motion still frame is taken: comets mid-flight
+const STILL_FRAME_SECONDS = 4;
+
+const resolveOptions = (options: Partial<CometNetworkOptions>): Partial<CometNetworkOptions> =>
+  options.pointColor === undefined ? options : { ...options, pointColor: toRgbaString(parseColor(options.pointColor)) };
+
+const resolvePalette = (colors: readonly string[]) => colors.map((color) => parseColor(color));
+
+export function mountCometNetwork(canvas: HTMLCanvasElement, config: MountCometNetworkOptions = {}): CometNetworkController {
+  const container = config.container ?? canvas.parentElement;
+  if (!container) throw new Error('CometNetwork: the canvas needs a container to size against');
+
+  const maxPixelRatio = config.maxPixelRatio ?? 2;
+  const host = createNetworkHost(canvas, resolveOptions(config.options ?? {}), resolvePalette(config.palette ?? DEFAULT_PALETTE));
+
+  // Backing store follows devicePixelRatio; the simulation works in CSS pixels
+  const resize = () => {
+    const width = Math.floor(container.offsetWidth);
+    const height = Math.floor(container.offsetHeight);
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, maxPixelRatio);
+    host.resize(width, height, pixelRatio);
+  };
+  resize();
+
+  // Container size changes (including mobile address bar show/hide)
+  let resizeTimer: ReturnType<typeof setTimeout> | undefined;
+  const resizeObserver = new ResizeObserver(() => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(resize, RESIZE_DEBOUNCE_MS);
+  });
+  resizeObserver.observe(container);
+
+  // Animate only while the canvas is on screen, the tab is visible and motion is allowed
+  let isOnScreen = true;
+  let reducedMotion = config.reducedMotion ?? false;
+  const syncRunning = () => {
+    if (reducedMotion) return;
+    if (isOnScreen && !document.hidden) host.start();
+    else host.stop();
+  };
+  if (reducedMotion) host.renderStill(STILL_FRAME_SECONDS);
+  const visibilityObserver = new IntersectionObserver(([entry]) => {
+    isOnScreen = entry.isIntersecting;
+    syncRunning();
+  });
+  visibilityObserver.observe(canvas);
+  document.addEventListener('visibilitychange', syncRunning);
+  syncRunning();
+
+  // Pointer and touch input; the canvas itself may be pointer-events: none, so listen on the container
+  let lastMoveTime = 0;
+  let interactive = false;
+
+  const sendPointer = (action: 'move' | 'down', event: PointerEvent) => {
+    const rect = canvas.getBoundingClientRect();
+    host.pointer(action, event.clientX - rect.left, event.clientY - rect.top);
+  };
+
+  const handlePointerMove = (event: PointerEvent) => {
+    if (reducedMotion) return;
+    const now = performance.now();
+    if (now - lastMoveTime < POINTER_THROTTLE_MS) return;
+    lastMoveTime = now;
+    sendPointer('move', event);
+  };
+
+  const handlePointerDown = (event: PointerEvent) => {
+    if (!reducedMotion) sendPointer('down', event);
+  };
+
+  const handlePointerEnd = (event: PointerEvent) => {
+    // A mouse keeps hovering over the network after a click, a finger does not
+    if (event.type === 'pointerup' && event.pointerType === 'mouse') return;
+    host.pointer('leave');
+  };
+
+  const setInteractive = (enabled: boolean) => {
+    if (enabled === interactive) return;
+    interactive = enabled;
+    const method = enabled ? 'addEventListener' : 'removeEventListener';
+    container[method]('pointermove', handlePointerMove as EventListener, { passive: true });
+    container[method]('pointerdown', handlePointerDown as EventListener, { passive: true });
+    container[method]('pointerup', handlePointerEnd as EventListener);
+    container[method]('pointerleave', handlePointerEnd as EventListener);
+    container[method]('pointercancel', handlePointerEnd as EventListener);
+    if (!enabled) host.pointer('leave');
+  };
+  setInteractive(config.interactive ?? false);
+
+  const setReducedMotion = (reduced: boolean) => {
+    if (reduced === reducedMotion) return;
+    reducedMotion = reduced;
+    if (reduced) {
+      host.pointer('leave');
+      // Freeze on the current frame rather than jumping ahead
+      host.renderStill(0);
+    } else {
+      syncRunning();
+    }
+  };
+
+  return {
+    host,
+    update: (options) => {
+      host.update(resolveOptions(options));
+      if (reducedMotion) host.renderStill(0);
+    },
+    setPalette: (colors, animate = true) => {
+      // No cross-fade without a running loop
+      host.setPalette(resolvePalette(colors), animate && !reducedMotion);
+      if (reducedMotion) host.renderStill(0);
+    },
+    setInteractive,
+    setReducedMotion,
+    destroy: () => {
+      setInteractive(false);
+      resizeObserver.disconnect();
+      clearTimeout(resizeTimer);
+      visibilityObserver.disconnect();
+      document.removeEventListener('visibilitychange', syncRunning);
+      host.destroy();
+    },
+  };
+}
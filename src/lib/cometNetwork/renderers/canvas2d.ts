@@ -0,0 +1,211 @@
+/**
+ * Draws the comet network on a 2D canvas context (HTMLCanvasElement or
+ * OffscreenCanvas). Works in CSS pixels: `resize` sizes the backing store for
+ * the pixel ratio and scales the context to match.
+ */
+import { parseColor, toRgbaString, type RGBA } from '../../color';
+import type { CometRenderer } from '../engine';
+import type { AnimatedLine, CometNetworkSimulation, ExplosionEffect } from '../simulation';
+
+export type Context2D = CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D;
+
+// Straight pieces used to draw the visible part of a curved comet
+const CURVE_SEGMENTS = 16;
+
+interface LineStops {
+  color: RGBA;
+  /** "r, g, b" for strokes whose alpha changes per segment */
+  rgb: string;
+  tail: string;
+  middle: string;
+  head: string;
+  headFill: string;
+}
+
+export class Canvas2DRenderer implements CometRenderer {
+  // Gradient stops are rebuilt only when the colour changes (e.g. during a theme cross-fade)
+  private lineStops = new WeakMap<AnimatedLine, LineStops>();
+  private explosionColors = new WeakMap<ExplosionEffect, { color: RGBA; rgb: string }>();
+
+  constructor(private readonly ctx: Context2D) {}
+
+  /** Resizing the backing store resets the transform, hence both happen together */
+  resize(width: number, height: number, pixelRatio: number): void {
+    const { canvas } = this.ctx;
+    canvas.width = Math.floor(width * pixelRatio);
+    canvas.height = Math.floor(height * pixelRatio);
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  }
+
+  render(scene: CometNetworkSimulation): void {
+    this.ctx.clearRect(0, 0, scene.width, scene.height);
+    this.drawPoints(scene);
+    scene.lines.forEach((line) => this.drawLine(scene, line));
+    scene.explosions.forEach((explosion) => this.drawExplosion(scene, explosion));
+  }
+
+  private drawPoints(scene: CometNetworkSimulation): void {
+    const pointColor = parseColor(scene.options.pointColor);
+    if (pointColor.a === 0) return;
+
+    const { ctx } = this;
+    ctx.fillStyle = toRgbaString(pointColor);
+    for (const point of scene.points) {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, point.radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  private drawLine(scene: CometNetworkSimulation, line: AnimatedLine): void {
+    if (scene.options.trailType === 'history') this.drawHistoryTrail(scene, line);
+    else this.drawGradientTrail(scene, line);
+  }
+
+  private drawGradientTrail(scene: CometNetworkSimulation, line: AnimatedLine): void {
+    const { headProgress, tailStartProgress } = line;
+    if (line.arrived || (headProgress >= 1 && tailStartProgress >= headProgress)) return;
+
+    const { lineWidthStart } = scene.options;
+    const head = line.pointAt(headProgress);
+    const tailStart = line.pointAt(tailStartProgress);
+
+    if (Math.abs(head.x - tailStart.x) < 0.1 && Math.abs(head.y - tailStart.y) < 0.1 && headProgress < 0.05) {
+      return;
+    }
+
+    const stops = this.getLineStops(line, scene.getPaletteColor(line.colorIndex));
+    const { ctx } = this;
+
+    // Tail
+    ctx.beginPath();
+    ctx.moveTo(tailStart.x, tailStart.y);
+    if (line.bend !== 0) {
+      for (let i = 1; i < CURVE_SEGMENTS; i++) {
+        const point = line.pointAt(tailStartProgress + ((headProgress - tailStartProgress) * i) / CURVE_SEGMENTS);
+        ctx.lineTo(point.x, point.y);
+      }
+    }
+    ctx.lineTo(head.x, head.y);
+
+    // The gradient runs along the chord, which is close enough for gentle curves
+    const gradient = ctx.createLinearGradient(tailStart.x, tailStart.y, head.x, head.y);
+    gradient.addColorStop(0, stops.tail);
+    gradient.addColorStop(0.5, stops.middle);
+    gradient.addColorStop(1, stops.head);
+
+    ctx.strokeStyle = gradient;
+    ctx.lineWidth = lineWidthStart;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+
+    this.drawHead(head, lineWidthStart, stops);
+  }
+
+  // Each segment of the recorded path is stroked separately, fading and thinning towards the oldest
+  private drawHistoryTrail(scene: CometNetworkSimulation, line: AnimatedLine): void {
+    const { history } = line;
+    const count = history.length / 2;
+    if (count < 2) return;
+
+    const { lineWidthStart } = scene.options;
+    const stops = this.getLineStops(line, scene.getPaletteColor(line.colorIndex));
+    const { ctx } = this;
+    ctx.lineCap = 'round';
+
+    for (let i = 1; i < count; i++) {
+      const t = i / (count - 1);
+      ctx.beginPath();
+      ctx.moveTo(history[i * 2 - 2], history[i * 2 - 1]);
+      ctx.lineTo(history[i * 2], history[i * 2 + 1]);
+      ctx.strokeStyle = `rgba(${stops.rgb}, ${+(stops.color.a * t).toFixed(3)})`;
+      ctx.lineWidth = lineWidthStart * (0.3 + 0.7 * t);
+      ctx.stroke();
+    }
+
+    if (!line.arrived) {
+      this.drawHead({ x: history[history.length - 2], y: history[history.length - 1] }, lineWidthStart, stops);
+    }
+  }
+
+  private drawHead(position: { x: number; y: number }, lineWidth: number, stops: LineStops): void {
+    const { ctx } = this;
+    const headRadius = lineWidth > 1 ? lineWidth / 1.5 : 1;
+    ctx.beginPath();
+    ctx.arc(position.x, position.y, headRadius, 0, Math.PI * 2);
+    ctx.fillStyle = stops.headFill;
+    ctx.fill();
+  }
+
+  private drawExplosion(scene: CometNetworkSimulation, explosion: ExplosionEffect): void {
+    const { x, y, radius, opacity } = explosion;
+    if (opacity <= 0.01 || radius <= 0.1) return;
+
+    // Opacity comes from the animation, so only the RGB channels of the colour matter
+    const color = scene.getPaletteColor(explosion.colorIndex);
+    let cached = this.explosionColors.get(explosion);
+    if (cached?.color !== color) {
+      cached = { color, rgb: `${color.r}, ${color.g}, ${color.b}` };
+      this.explosionColors.set(explosion, cached);
+    }
+
+    const { ctx } = this;
+    const { rgb } = cached;
+
+    if (explosion.type === 'ring') {
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.strokeStyle = `rgba(${rgb}, ${opacity})`;
+      ctx.lineWidth = Math.max(0.5, scene.options.lineWidthStart * (1 - explosion.progress));
+      ctx.stroke();
+      return;
+    }
+
+    if (explosion.type === 'sparks') {
+      const { sparks } = explosion;
+      ctx.strokeStyle = `rgba(${rgb}, ${opacity})`;
+      ctx.lineWidth = 1;
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      for (let i = 0; i < sparks.length; i += 2) {
+        const cos = Math.cos(sparks[i]);
+        const sin = Math.sin(sparks[i]);
+        const outer = radius * sparks[i + 1];
+        // Sparks get shorter as they fly outwards
+        const inner = outer * (0.4 + 0.5 * explosion.progress);
+        ctx.moveTo(x + cos * inner, y + sin * inner);
+        ctx.lineTo(x + cos * outer, y + sin * outer);
+      }
+      ctx.stroke();
+      return;
+    }
+
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+
+    const gradient = ctx.createRadialGradient(x, y, radius * 0.1, x, y, radius);
+    gradient.addColorStop(0, `rgba(${rgb}, ${opacity * 0.9})`);
+    gradient.addColorStop(0.6, `rgba(${rgb}, ${opacity * 0.5})`);
+    gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+
+    ctx.fillStyle = gradient;
+    ctx.fill();
+  }
+
+  private getLineStops(line: AnimatedLine, color: RGBA): LineStops {
+    const cached = this.lineStops.get(line);
+    if (cached?.color === color) return cached;
+
+    const stops = {
+      color,
+      rgb: `${color.r}, ${color.g}, ${color.b}`,
+      tail: toRgbaString(color, 0),
+      middle: toRgbaString(color, 0.3),
+      head: toRgbaString(color),
+      headFill: toRgbaString({ ...color, a: Math.min(1, color.a + 0.2) }),
+    };
+    this.lineStops.set(line, stops);
+    return stops;
+  }
+}
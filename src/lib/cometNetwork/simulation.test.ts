@@ -0,0 +1,170 @@
+import { describe, expect, it } from 'vitest';
+import { parseColor } from '../color';
+import { CometNetworkSimulation, DEFAULT_OPTIONS, type CometNetworkOptions } from './simulation';
+
+const palette = [parseColor('#ff0000'), parseColor('#0000ff')];
+
+function createSimulation(options: Partial<CometNetworkOptions> = {}) {
+  const simulation = new CometNetworkSimulation(
+    { numPoints: 200, connectDistance: 150, seed: 1, adaptiveQuality: false, spawnDelay: 0, ...options },
+    palette
+  );
+  simulation.resize(800, 600);
+  return simulation;
+}
+
+/** Runs `seconds` of simulation at 60 fps */
+function run(simulation: CometNetworkSimulation, seconds: number) {
+  for (let elapsed = 0; elapsed < seconds; elapsed += 1 / 60) simulation.tick(1000 / 60);
+}
+
+describe('spawnInterval', () => {
+  it('clamps zero and negative intervals instead of spawning forever', () => {
+    for (const spawnInterval of [0, -1]) {
+      const simulation = createSimulation({ spawnInterval, maxActiveLines: 1000 });
+      expect(simulation.options.spawnInterval).toBeGreaterThan(0);
+      run(simulation, 0.5);
+      expect(simulation.lines.length).toBeLessThanOrEqual(60);
+    }
+  });
+
+  it('falls back to the default for NaN, also through setOptions', () => {
+    expect(createSimulation({ spawnInterval: NaN }).options.spawnInterval).toBe(DEFAULT_OPTIONS.spawnInterval);
+
+    const simulation = createSimulation();
+    simulation.setOptions({ spawnInterval: Number('not a number') });
+    expect(simulation.options.spawnInterval).toBe(DEFAULT_OPTIONS.spawnInterval);
+    simulation.setOptions({ spawnInterval: 0 });
+    expect(simulation.options.spawnInterval).toBeGreaterThan(0);
+    run(simulation, 0.2);
+  });
+});
+
+// Spawns right away, then never more than one comet at a time
+const singleComet = { spawnInterval: 0.01, maxActiveLines: 1 };
+
+describe('comet paths', () => {
+  it('bends curved paths away from the straight segment', () => {
+    const simulation = createSimulation({ pathType: 'curve', pathCurvature: 0.25, ...singleComet });
+    simulation.tick(20);
+    const line = simulation.lines[0];
+    const middle = line.pointAt(0.5);
+    const straightX = (line.p1.x + line.p2.x) / 2;
+    const straightY = (line.p1.y + line.p2.y) / 2;
+
+    expect(Math.abs(line.bend)).toBe(0.25);
+    expect(Math.hypot(middle.x - straightX, middle.y - straightY)).toBeGreaterThan(1);
+    expect(line.pointAt(0)).toEqual({ x: line.p1.x, y: line.p1.y });
+    expect(line.pointAt(1).x).toBeCloseTo(line.p2.x);
+  });
+
+  it('continues chain comets from the point they hit', () => {
+    const simulation = createSimulation({ pathType: 'chain', chainHops: 3, ...singleComet });
+    simulation.tick(20);
+    const [first] = simulation.lines;
+    expect(first.hopsLeft).toBe(2);
+
+    run(simulation, DEFAULT_OPTIONS.lineAnimationDuration + 0.1);
+    const next = simulation.lines.find((line) => line.p1 === first.p2);
+    expect(next?.hopsLeft).toBe(1);
+    expect(simulation.explosions.length).toBeGreaterThan(0);
+  });
+
+  it('keeps history trails to trailLength positions and drains them after arrival', () => {
+    const simulation = createSimulation({ trailType: 'history', trailLength: 10, ...singleComet });
+    simulation.tick(20);
+    const [line] = simulation.lines;
+
+    run(simulation, 1);
+    expect(line.history.length).toBe(20);
+
+    run(simulation, DEFAULT_OPTIONS.lineAnimationDuration);
+    expect(line.arrived).toBe(true);
+    expect(simulation.lines).not.toContain(line);
+  });
+
+  it('gives sparks explosions sparkCount rays', () => {
+    const simulation = createSimulation({ explosionType: 'sparks', sparkCount: 6 });
+    simulation.addExplosion(10, 10, 0);
+    const [explosion] = simulation.explosions;
+    expect(explosion.type).toBe('sparks');
+    expect(explosion.sparks).toHaveLength(12);
+  });
+});
+
+describe('palette', () => {
+  it('cross-fades live comets to a new palette', () => {
+    const simulation = createSimulation({ paletteTransitionDuration: 1 });
+    simulation.setPalette([parseColor('#00ff00'), parseColor('#00ff00')]);
+
+    expect(simulation.getPaletteColor(0)).toEqual(palette[0]);
+    run(simulation, 0.5);
+    const halfway = simulation.getPaletteColor(0);
+    expect(halfway.r).toBeGreaterThan(0);
+    expect(halfway.g).toBeGreaterThan(0);
+    run(simulation, 0.6);
+    expect(simulation.getPaletteColor(0)).toEqual(parseColor('#00ff00'));
+  });
+
+  it('switches at once without animation', () => {
+    const simulation = createSimulation();
+    simulation.setPalette([parseColor('#00ff00')], false);
+    expect(simulation.getPaletteColor(1)).toEqual(parseColor('#00ff00'));
+  });
+});
+
+describe('pointer interaction', () => {
+  it('repels nearby points and lets them ease back', () => {
+    const simulation = createSimulation({ pointerRadius: 100, pointerStrength: 30 });
+    simulation.pointerMove(400, 300);
+    run(simulation, 0.5);
+
+    const moved = simulation.points.filter((point) => point.x !== point.baseX || point.y !== point.baseY);
+    expect(moved.length).toBeGreaterThan(0);
+    for (const point of moved) {
+      const before = Math.hypot(point.baseX - 400, point.baseY - 300);
+      expect(Math.hypot(point.x - 400, point.y - 300)).toBeGreaterThanOrEqual(before);
+    }
+
+    simulation.pointerLeave();
+    run(simulation, 2);
+    for (const point of simulation.points) {
+      expect(Math.abs(point.x - point.baseX)).toBeLessThan(0.2);
+    }
+  });
+
+  it('bursts comets and an explosion on click', () => {
+    const simulation = createSimulation({ clickBurstSize: 3, spawnDelay: 100 });
+    simulation.pointerDown(400, 300);
+    expect(simulation.explosions).toHaveLength(1);
+    expect(simulation.lines).toHaveLength(3);
+  });
+});
+
+describe('adaptive quality', () => {
+  it('drops points when frames keep missing the budget', () => {
+    const simulation = createSimulation({ adaptiveQuality: true, frameBudget: 16 });
+    const before = simulation.points.length;
+    for (let i = 0; i < 200; i++) simulation.tick(40);
+    expect(simulation.points.length).toBeLessThan(before);
+  });
+});
+
+describe('resize', () => {
+  it('remaps points and live comets proportionally instead of regenerating them', () => {
+    const simulation = createSimulation({ trailType: 'history', ...singleComet });
+    run(simulation, 0.5);
+    const [line] = simulation.lines;
+    const points = simulation.points.map(({ id, x, y }) => ({ id, x, y }));
+    const trailStart = line.history.slice(0, 2);
+
+    simulation.resize(400, 900);
+
+    expect(simulation.lines).toContain(line);
+    expect(simulation.points.map(({ id, x, y }) => ({ id, x, y }))).toEqual(
+      points.map(({ id, x, y }) => ({ id, x: x / 2, y: y * 1.5 }))
+    );
+    expect(line.history[0]).toBeCloseTo(trailStart[0] / 2);
+    expect(line.history[1]).toBeCloseTo(trailStart[1] * 1.5);
+  });
+});
@@ -0,0 +1,552 @@
+/**
+ * Comet network model: points, comets (AnimatedLine), explosions, the spawner,
+ * palette cross-fade, pointer forces and adaptive quality. It has no DOM, React,
+ * GSAP or drawing code: CometNetworkEngine advances it with `tick(deltaMs)` and
+ * a renderer (see ./renderers) draws its state.
+ */
+import { mixColors, parseColor, type RGBA } from '../color';
+import { QUALITY_TIERS, QualityGovernor, type QualityTier } from '../qualityGovernor';
+import { createRandom, randomIndex, type RandomSource } from '../random';
+import { SpatialHash, type LinkWeighting, type Point2D } from '../spatialHash';
+
+/** 'chain' comets continue from each explosion to a neighbour of the point they hit */
+export type PathType = 'straight' | 'curve' | 'chain';
+/** 'gradient' fades along the flight path, 'history' draws the recent head positions */
+export type TrailType = 'gradient' | 'history';
+export type ExplosionType = 'radial' | 'ring' | 'sparks';
+
+export interface CometNetworkOptions {
+  numPoints: number;
+  pointRadius: number;
+  /** Any colour `parseColor` understands without a DOM (no `var()`) */
+  pointColor: string;
+  connectDistance: number;
+  lineWidthStart: number;
+  cometTailLength: number;
+  /** Seconds */
+  lineAnimationDuration: number;
+  pathType: PathType;
+  /** Sideways offset of a curve's control point, as a share of the segment length */
+  pathCurvature: number;
+  /** Segments in a 'chain' comet, the first one included */
+  chainHops: number;
+  trailType: TrailType;
+  /** Head positions kept for 'history' trails (sampled at 60 per second) */
+  trailLength: number;
+  explosionType: ExplosionType;
+  explosionMaxRadiusFactor: number;
+  /** Seconds */
+  explosionDuration: number;
+  sparkCount: number;
+  maxActiveLines: number;
+  /** Seconds between automatic spawns */
+  spawnInterval: number;
+  /** Seconds before the first automatic spawn cycle */
+  spawnDelay: number;
+  /** Seconds */
+  paletteTransitionDuration: number;
+  linkWeighting: LinkWeighting;
+  seed?: number;
+  pointerRadius: number;
+  pointerMode: 'repel' | 'attract';
+  pointerStrength: number;
+  /** Seconds between spawns from a moving pointer */
+  pointerSpawnInterval: number;
+  clickBurstSize: number;
+  adaptiveQuality: boolean;
+  /** Milliseconds */
+  frameBudget: number;
+}
+
+export const DEFAULT_OPTIONS: CometNetworkOptions = {
+  numPoints: 800,
+  pointRadius: 1.5,
+  pointColor: 'rgba(133, 141, 148, 0)',
+  connectDistance: 500,
+  lineWidthStart: 2.5,
+  cometTailLength: 7.35,
+  lineAnimationDuration: 2.8,
+  pathType: 'straight',
+  pathCurvature: 0.25,
+  chainHops: 3,
+  trailType: 'gradient',
+  trailLength: 40,
+  explosionType: 'radial',
+  explosionMaxRadiusFactor: 20,
+  explosionDuration: 0.9,
+  sparkCount: 10,
+  maxActiveLines: 20,
+  spawnInterval: 0.7,
+  spawnDelay: 2,
+  paletteTransitionDuration: 0.8,
+  linkWeighting: 'uniform',
+  seed: undefined,
+  pointerRadius: 120,
+  pointerMode: 'repel',
+  pointerStrength: 24,
+  pointerSpawnInterval: 0.3,
+  clickBurstSize: 3,
+  adaptiveQuality: true,
+  frameBudget: 20,
+};
+
+export const DEFAULT_PALETTE: readonly string[] = [
+  'rgba(255, 127, 80, 0.8)',
+  'rgba(66, 181, 239, 0.7)',
+  'rgba(219, 35, 239, 0.7)',
+  'rgba(234, 234, 234, 0.6)',
+];
+
+// Options whose change invalidates the generated points
+const LAYOUT_OPTIONS: readonly (keyof CometNetworkOptions)[] = ['numPoints', 'seed', 'pointRadius'];
+
+// Floor for spawnInterval: at 0 or below the spawner would never catch up with the clock
+const MIN_SPAWN_INTERVAL = 0.01;
+
+// How many random origins to try when the first one has no neighbours
+const MAX_ORIGIN_ATTEMPTS = 8;
+// Share of the way to its target a displaced point covers per frame
+const POINT_EASING = 0.15;
+// Longer frames (tab switch, debugger) are clamped so animations do not jump
+const MAX_STEP_SECONDS = 0.1;
+// History trails are sampled at a fixed rate, so their length does not depend on the frame rate
+const TRAIL_SAMPLE_INTERVAL = 1 / 60;
+// Attempts to find a next hop that does not lead straight back
+const MAX_HOP_ATTEMPTS = 3;
+
+/** Clamps option values that would stall the simulation; NaN falls back to the default */
+const sanitizeOptions = (options: CometNetworkOptions): CometNetworkOptions => {
+  const { spawnInterval } = options;
+  if (spawnInterval >= MIN_SPAWN_INTERVAL) return options;
+  return {
+    ...options,
+    spawnInterval: Number.isNaN(Number(spawnInterval)) ? DEFAULT_OPTIONS.spawnInterval : MIN_SPAWN_INTERVAL,
+  };
+};
+
+const easeExpoOut = (t: number) => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t));
+const easePower1InOut = (t: number) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+export interface NetworkPoint {
+  id: number;
+  x: number;
+  y: number;
+  /** Rest position the point returns to after pointer forces */
+  baseX: number;
+  baseY: number;
+  radius: number;
+}
+
+interface PaletteState {
+  from: RGBA[];
+  to: RGBA[];
+  progress: number;
+}
+
+export class ExplosionEffect {
+  x: number;
+  y: number;
+  radius: number;
+  opacity = 0.8;
+  /** Eased progress, 0–1 */
+  progress = 0;
+  private elapsed = 0;
+
+  /**
+   * `sparks` holds `[angle, reach]` pairs (reach 0–1 of the radius) for the
+   * 'sparks' variant, empty otherwise.
+   */
+  constructor(
+    private readonly network: CometNetworkSimulation,
+    x: number,
+    y: number,
+    readonly colorIndex: number,
+    readonly type: ExplosionType = 'radial',
+    readonly sparks: readonly number[] = []
+  ) {
+    this.x = x;
+    this.y = y;
+    this.radius = network.options.pointRadius;
+  }
+
+  /** Returns false once finished */
+  update(dt: number): boolean {
+    const { pointRadius, explosionMaxRadiusFactor, explosionDuration } = this.network.options;
+    this.elapsed += dt;
+    const t = Math.min(1, this.elapsed / explosionDuration);
+    const eased = easeExpoOut(t);
+    this.progress = eased;
+    this.radius = pointRadius + (pointRadius * explosionMaxRadiusFactor - pointRadius) * eased;
+    this.opacity = 0.8 * (1 - eased);
+    return t < 1;
+  }
+}
+
+interface AnimatedLineInit {
+  /** Signed control point offset for curved paths (share of the length), 0 for straight */
+  bend?: number;
+  /** Further segments of a chain after this one */
+  hopsLeft?: number;
+  /** Trail handed over from the previous hop of a chain */
+  history?: number[];
+}
+
+export class AnimatedLine {
+  headProgress = 0;
+  tailStartProgress = 0;
+  /** Head positions as [x0, y0, x1, y1, …], oldest first; filled for 'history' trails */
+  readonly history: number[];
+  readonly bend: number;
+  readonly hopsLeft: number;
+  /** True once the head reached p2; a history trail then drains before the line is removed */
+  arrived = false;
+  private elapsed = 0;
+  private sampleTime = 0;
+
+  constructor(
+    private readonly network: CometNetworkSimulation,
+    readonly p1: NetworkPoint,
+    readonly p2: NetworkPoint,
+    readonly colorIndex: number,
+    { bend = 0, hopsLeft = 0, history = [] }: AnimatedLineInit = {}
+  ) {
+    this.bend = bend;
+    this.hopsLeft = hopsLeft;
+    this.history = history;
+  }
+
+  /** Position along the path at progress t ∈ [0, 1]; follows the points as they move */
+  pointAt(t: number): Point2D {
+    const { p1, p2 } = this;
+    if (this.bend === 0) {
+      return { x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t };
+    }
+
+    // Quadratic Bézier with the control point pushed sideways from the midpoint
+    const controlX = (p1.x + p2.x) / 2 - (p2.y - p1.y) * this.bend;
+    const controlY = (p1.y + p2.y) / 2 + (p2.x - p1.x) * this.bend;
+    const u = 1 - t;
+    return {
+      x: u * u * p1.x + 2 * u * t * controlX + t * t * p2.x,
+      y: u * u * p1.y + 2 * u * t * controlY + t * t * p2.y,
+    };
+  }
+
+  /** Returns false once the comet has arrived (and spawned its explosion) and its trail is gone */
+  update(dt: number): boolean {
+    const { lineAnimationDuration, cometTailLength, trailType } = this.network.options;
+    this.elapsed += dt;
+    if (!this.arrived) {
+      this.headProgress = Math.min(1, this.elapsed / lineAnimationDuration);
+      this.tailStartProgress = Math.max(0, this.headProgress - cometTailLength);
+    }
+    if (trailType === 'history') this.sampleHistory(dt);
+
+    if (this.arrived) return this.history.length > 2;
+    if (this.headProgress < 1) return true;
+
+    this.arrived = true;
+    this.network.addExplosion(this.p2.x, this.p2.y, this.colorIndex);
+    // The next hop takes the trail over
+    if (this.network.continueChain(this)) return false;
+    return trailType === 'history' && this.history.length > 2;
+  }
+
+  private sampleHistory(dt: number): void {
+    const { lineAnimationDuration, trailLength } = this.network.options;
+    this.sampleTime += dt;
+
+    while (this.sampleTime >= TRAIL_SAMPLE_INTERVAL) {
+      this.sampleTime -= TRAIL_SAMPLE_INTERVAL;
+      if (this.arrived) {
+        // Draining: the head has stopped, the tail catches up
+        this.history.splice(0, 2);
+        continue;
+      }
+      // Where the head was at the sample time, so slow frames do not stretch the segments
+      const { x, y } = this.pointAt(Math.min(1, (this.elapsed - this.sampleTime) / lineAnimationDuration));
+      this.history.push(x, y);
+    }
+
+    const excess = this.history.length - Math.max(2, trailLength) * 2;
+    if (excess > 0) this.history.splice(0, excess);
+  }
+}
+
+export class CometNetworkSimulation {
+  options: CometNetworkOptions;
+  points: NetworkPoint[] = [];
+  lines: AnimatedLine[] = [];
+  explosions: ExplosionEffect[] = [];
+  width = 0;
+  height = 0;
+  private random: RandomSource;
+  private readonly spatialHash = new SpatialHash<NetworkPoint>();
+  private palette: PaletteState;
+  private quality: QualityTier = QUALITY_TIERS[0];
+  private governor: QualityGovernor | null = null;
+  private pointer = { x: 0, y: 0, active: false, displaced: false };
+  private time = 0;
+  private nextSpawnTime: number;
+  private lastPointerSpawnTime = -Infinity;
+
+  constructor(options: Partial<CometNetworkOptions> = {}, palette: readonly RGBA[] = DEFAULT_PALETTE.map((color) => parseColor(color))) {
+    this.options = sanitizeOptions({ ...DEFAULT_OPTIONS, ...options });
+    this.random = createRandom(this.options.seed);
+    this.palette = { from: [...palette], to: [...palette], progress: 1 };
+    this.nextSpawnTime = this.options.spawnDelay + this.options.spawnInterval;
+    this.setupGovernor();
+  }
+
+  setOptions(options: Partial<CometNetworkOptions>): void {
+    const previous = this.options;
+    this.options = sanitizeOptions({ ...previous, ...options });
+
+    if (options.adaptiveQuality !== undefined && options.adaptiveQuality !== previous.adaptiveQuality) {
+      this.setupGovernor();
+    }
+    if (LAYOUT_OPTIONS.some((key) => key in options && options[key] !== previous[key])) {
+      if (this.options.seed !== previous.seed) this.random = createRandom(this.options.seed);
+      this.createPoints();
+    }
+  }
+
+  /** Cross-fades live comets to a new palette over `paletteTransitionDuration` */
+  setPalette(colors: readonly RGBA[], animate = true): void {
+    if (colors.length === 0) return;
+    const current = this.palette.to.map((_, i) => this.getPaletteColor(i));
+    this.palette = animate && this.options.paletteTransitionDuration > 0
+      ? { from: current, to: [...colors], progress: 0 }
+      : { from: [...colors], to: [...colors], progress: 1 };
+  }
+
+  /**
+   * Sets the logical size (CSS pixels). Existing points and explosions are
+   * remapped proportionally so live comets survive the resize.
+   */
+  resize(width: number, height: number): void {
+    const previousWidth = this.width;
+    const previousHeight = this.height;
+    this.width = width;
+    this.height = height;
+
+    if (previousWidth <= 0 || previousHeight <= 0 || this.points.length === 0) {
+      this.createPoints();
+      return;
+    }
+
+    const scaleX = width / previousWidth;
+    const scaleY = height / previousHeight;
+    for (const point of this.points) {
+      point.x *= scaleX;
+      point.y *= scaleY;
+      point.baseX *= scaleX;
+      point.baseY *= scaleY;
+    }
+    for (const explosion of this.explosions) {
+      explosion.x *= scaleX;
+      explosion.y *= scaleY;
+    }
+    for (const line of this.lines) {
+      for (let i = 0; i < line.history.length; i += 2) {
+        line.history[i] *= scaleX;
+        line.history[i + 1] *= scaleY;
+      }
+    }
+    this.rebuildIndex();
+  }
+
+  pointerMove(x: number, y: number): void {
+    Object.assign(this.pointer, { x, y, active: true });
+    if (this.time - this.lastPointerSpawnTime >= this.options.pointerSpawnInterval) {
+      this.lastPointerSpawnTime = this.time;
+      this.spawnLineNear(x, y);
+    }
+  }
+
+  /** Click or tap: an explosion at the pointer plus a burst of comets */
+  pointerDown(x: number, y: number): void {
+    Object.assign(this.pointer, { x, y, active: true });
+    this.addExplosion(x, y, randomIndex(this.random, this.palette.to.length));
+    for (let i = 0; i < this.options.clickBurstSize; i++) {
+      this.spawnLineNear(x, y);
+    }
+  }
+
+  pointerLeave(): void {
+    this.pointer.active = false;
+  }
+
+  /** Call after a pause so the gap is not mistaken for slow frames */
+  resetClock(): void {
+    this.governor?.reset();
+  }
+
+  /** Advances the simulation by one frame */
+  tick(deltaMs: number): void {
+    this.governor?.sample(deltaMs);
+    const dt = Math.min(MAX_STEP_SECONDS, Math.max(0, deltaMs / 1000));
+    this.time += dt;
+
+    if (this.palette.progress < 1) {
+      this.palette.progress = Math.min(1, this.palette.progress + dt / this.options.paletteTransitionDuration);
+    }
+
+    while (this.time >= this.nextSpawnTime) {
+      this.nextSpawnTime += this.options.spawnInterval;
+      this.spawnRandomLine();
+    }
+
+    // Rebuilt rather than filtered: arriving chain comets append their next hop
+    const lines = this.lines;
+    this.lines = [];
+    for (const line of lines) {
+      if (line.update(dt)) this.lines.push(line);
+    }
+    this.explosions = this.explosions.filter((explosion) => explosion.update(dt));
+    this.applyPointerForces();
+  }
+
+  getPaletteColor(index: number): RGBA {
+    const { from, to, progress } = this.palette;
+    const target = to[index % to.length];
+    if (progress >= 1) return target;
+    return mixColors(from[index % from.length], target, easePower1InOut(progress));
+  }
+
+  addExplosion(x: number, y: number, colorIndex: number): void {
+    const { explosionType, sparkCount } = this.options;
+    const sparks: number[] = [];
+    if (explosionType === 'sparks') {
+      for (let i = 0; i < sparkCount; i++) {
+        // Evenly spread with some jitter, each spark flying a different distance
+        sparks.push(((i + this.random() * 0.6) / sparkCount) * Math.PI * 2, 0.55 + this.random() * 0.45);
+      }
+    }
+    this.explosions.push(new ExplosionEffect(this, x, y, colorIndex, explosionType, sparks));
+  }
+
+  /** Starts the next hop of a 'chain' comet from where `line` arrived; false when the chain ends */
+  continueChain(line: AnimatedLine): boolean {
+    if (this.options.pathType !== 'chain' || line.hopsLeft <= 0) return false;
+
+    const { connectDistance, linkWeighting } = this.options;
+    for (let attempt = 0; attempt < MAX_HOP_ATTEMPTS; attempt++) {
+      const next = this.spatialHash.pickNeighbor(line.p2, connectDistance, this.random, linkWeighting);
+      if (!next) return false;
+      if (next === line.p1) continue;
+
+      this.lines.push(
+        new AnimatedLine(this, line.p2, next, line.colorIndex, { hopsLeft: line.hopsLeft - 1, history: line.history })
+      );
+      return true;
+    }
+    return false;
+  }
+
+  private setupGovernor(): void {
+    if (!this.options.adaptiveQuality) {
+      this.governor = null;
+      this.quality = QUALITY_TIERS[0];
+      return;
+    }
+    this.governor = new QualityGovernor(this.options.frameBudget, (tier) => this.applyQualityTier(tier));
+    this.quality = this.governor.tier;
+  }
+
+  // Number of points and comets for the current quality tier
+  private get pointCount(): number {
+    return Math.max(2, Math.round(this.options.numPoints * this.quality.scale));
+  }
+
+  private get maxActiveLines(): number {
+    return Math.max(1, Math.round(this.options.maxActiveLines * this.quality.scale));
+  }
+
+  // Downgrade: drop surplus points, live comets still finish their flight
+  private applyQualityTier(tier: QualityTier): void {
+    this.quality = tier;
+    this.points = this.points.slice(0, this.pointCount);
+    this.rebuildIndex();
+  }
+
+  private createPoints(): void {
+    this.points = [];
+    for (let i = 0; i < this.pointCount; i++) {
+      const x = this.random() * this.width;
+      const y = this.random() * this.height;
+      this.points.push({ id: i, x, y, baseX: x, baseY: y, radius: this.options.pointRadius });
+    }
+    this.rebuildIndex();
+  }
+
+  private rebuildIndex(): void {
+    this.spatialHash.rebuild(this.points, this.width, this.height);
+  }
+
+  private spawnRandomLine(): void {
+    if (this.points.length < 2 || this.lines.length >= this.maxActiveLines) return;
+
+    for (let attempt = 0; attempt < MAX_ORIGIN_ATTEMPTS; attempt++) {
+      const p1 = this.points[randomIndex(this.random, this.points.length)];
+      if (this.spawnLineFrom(p1)) return;
+    }
+  }
+
+  // Comet from the point nearest to (x, y) to one of its neighbours
+  private spawnLineNear(x: number, y: number): void {
+    if (this.lines.length >= this.maxActiveLines) return;
+    const p1 = this.spatialHash.findNearest({ x, y }, this.options.pointerRadius);
+    if (p1) this.spawnLineFrom(p1);
+  }
+
+  private spawnLineFrom(p1: NetworkPoint): boolean {
+    const { connectDistance, linkWeighting } = this.options;
+    const p2 = this.spatialHash.pickNeighbor(p1, connectDistance, this.random, linkWeighting);
+    if (!p2) return false;
+
+    const { pathType, pathCurvature, chainHops } = this.options;
+    const colorIndex = randomIndex(this.random, this.palette.to.length);
+    this.lines.push(
+      new AnimatedLine(this, p1, p2, colorIndex, {
+        bend: pathType === 'curve' ? pathCurvature * (this.random() < 0.5 ? -1 : 1) : 0,
+        hopsLeft: pathType === 'chain' ? Math.max(0, chainHops - 1) : 0,
+      })
+    );
+    return true;
+  }
+
+  // Points are pushed away from (or pulled towards) the pointer and ease back without it
+  private applyPointerForces(): void {
+    const pointer = this.pointer;
+    if (!pointer.active && !pointer.displaced) return;
+
+    const { pointerRadius: radius, pointerStrength: strength } = this.options;
+    const direction = this.options.pointerMode === 'attract' ? -1 : 1;
+    let displaced = false;
+
+    for (const point of this.points) {
+      let targetX = point.baseX;
+      let targetY = point.baseY;
+
+      if (pointer.active) {
+        const dx = point.baseX - pointer.x;
+        const dy = point.baseY - pointer.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > 0 && distance < radius) {
+          const shift = Math.min(distance, (1 - distance / radius) * strength) * direction;
+          targetX += (dx / distance) * shift;
+          targetY += (dy / distance) * shift;
+        }
+      }
+
+      point.x += (targetX - point.x) * POINT_EASING;
+      point.y += (targetY - point.y) * POINT_EASING;
+      if (Math.abs(point.x - point.baseX) > 0.1 || Math.abs(point.y - point.baseY) > 0.1) {
+        displaced = true;
+      }
+    }
+
+    pointer.displaced = displaced;
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Test doubles for the comet network: a 2D context that records draw calls
+ * instead of drawing. Only imported by *.test.ts files.
+ */
+import type { Context2D } from './renderers/canvas2d';
+
+export interface MockContext {
+  ctx: Context2D;
+  /** Method names in call order, e.g. ['setTransform', 'clearRect', 'arc', …] */
+  calls: string[];
+  canvas: { width: number; height: number };
+}
+
+export function createMockContext(): MockContext {
+  const calls: string[] = [];
+  const canvas = { width: 0, height: 0 };
+  const gradient = { addColorStop: () => {} };
+  const properties: Record<string | symbol, unknown> = { canvas };
+
+  const ctx = new Proxy(properties, {
+    get: (target, key) => {
+      if (key in target) return target[key];
+      return () => {
+        calls.push(String(key));
+        return String(key).startsWith('create') ? gradient : undefined;
+      };
+    },
+    set: (target, key, value) => {
+      target[key] = value;
+      return true;
+    },
+  }) as unknown as Context2D;
+
+  return { ctx, calls, canvas };
+}
@@ -0,0 +1,36 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createMockContext } from './testing';
+
+// Loads a fresh copy of the worker module in a fake worker scope
+async function loadWorker(context: () => unknown) {
+  const scope = { postMessage: vi.fn(), onmessage: null as ((event: { data: unknown }) => void) | null };
+  vi.stubGlobal('self', scope);
+  vi.stubGlobal('OffscreenCanvas', class {
+    getContext = context;
+  });
+  vi.resetModules();
+  await import('./worker');
+  return scope;
+}
+
+describe('comet network worker', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reports ready when it can draw', async () => {
+    const scope = await loadWorker(() => createMockContext().ctx);
+    expect(scope.postMessage).toHaveBeenCalledExactlyOnceWith({ type: 'ready' });
+  });
+
+  it('reports an error instead of ready without a 2D context', async () => {
+    const scope = await loadWorker(() => null);
+    expect(scope.postMessage).toHaveBeenCalledExactlyOnceWith({ type: 'error', message: expect.any(String) });
+  });
+
+  it('reports an error when the transferred canvas has no 2D context', async () => {
+    const scope = await loadWorker(() => createMockContext().ctx);
+    scope.onmessage?.({ data: { type: 'init', canvas: { getContext: () => null }, options: {}, palette: [] } });
+    expect(scope.postMessage).toHaveBeenLastCalledWith({ type: 'error', message: expect.any(String) });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Web Worker that owns the comet network canvas (OffscreenCanvas) and runs the
+ * engine off the main thread. The page talks to it through `WorkerMessage` and
+ * waits for its `WorkerReply` before handing over the canvas.
+ */
+import type { RGBA } from '../color';
+import { CometNetworkEngine, type PointerAction } from './engine';
+import { Canvas2DRenderer } from './renderers/canvas2d';
+import type { CometNetworkOptions } from './simulation';
+
+export type WorkerMessage =
+  | { type: 'init'; canvas: OffscreenCanvas; options: Partial<CometNetworkOptions>; palette: RGBA[] }
+  | { type: 'resize'; width: number; height: number; pixelRatio: number }
+  | { type: 'options'; options: Partial<CometNetworkOptions> }
+  | { type: 'palette'; colors: RGBA[]; animate: boolean }
+  | { type: 'pointer'; action: PointerAction; x: number; y: number }
+  | { type: 'running'; running: boolean }
+  | { type: 'still'; advanceSeconds: number };
+
+/**
+ * 'ready' once the module has loaded and can draw; the page transfers the
+ * canvas only then. 'error' when it cannot draw, so the page falls back.
+ */
+export type WorkerReply = { type: 'ready' } | { type: 'error'; message: string };
+
+const fail = (message: string) => self.postMessage({ type: 'error', message } satisfies WorkerReply);
+
+let engine: CometNetworkEngine | null = null;
+
+self.onmessage = (event: MessageEvent<WorkerMessage>) => {
+  const message = event.data;
+
+  if (message.type === 'init') {
+    const ctx = message.canvas.getContext('2d');
+    if (!ctx) {
+      fail('2D context is unavailable on the transferred canvas');
+      return;
+    }
+    engine = new CometNetworkEngine(new Canvas2DRenderer(ctx), { options: message.options, palette: message.palette });
+    return;
+  }
+  if (!engine) return;
+
+  switch (message.type) {
+    case 'resize':
+      engine.resize(message.width, message.height, message.pixelRatio);
+      break;
+    case 'options':
+      engine.update(message.options);
+      break;
+    case 'palette':
+      engine.setPalette(message.colors, message.animate);
+      break;
+    case 'pointer':
+      engine.pointer(message.action, message.x, message.y);
+      break;
+    case 'running':
+      if (message.running) engine.start();
+      else engine.stop();
+      break;
+    case 'still':
+      engine.renderStill(message.advanceSeconds);
+      break;
+  }
+};
+
+// Probed before asking for the canvas: once transferred, the page cannot draw on it any more
+if (new OffscreenCanvas(1, 1).getContext('2d')) self.postMessage({ type: 'ready' } satisfies WorkerReply);
+else fail('2D context is unavailable on OffscreenCanvas');
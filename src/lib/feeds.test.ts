@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+import { absolutizeUrls, escapeXml, renderAtom, renderJsonFeed, renderRss, type Feed } from './feeds';
+
+const feed: Feed = {
+  title: 'News & notes — Run Swift Studio',
+  description: 'Automation <news>',
+  lang: 'en',
+  homeUrl: 'https://example.com/en/news/',
+  feedUrl: 'https://example.com/en/news/rss.xml',
+  author: 'Run Swift Studio',
+  items: [
+    {
+      url: 'https://example.com/en/news/older/',
+      title: 'Older',
+      summary: 'First',
+      html: '<p>First</p>',
+      published: new Date('2025-01-01T10:00:00Z'),
+      categories: [],
+    },
+    {
+      url: 'https://example.com/en/news/a-b/?x=1&y=2',
+      title: 'Tom & Jerry\'s "<script>"',
+      summary: 'Less < more',
+      html: '<p>Body & <b>bold</b></p>',
+      published: new Date('2025-03-01T12:00:00Z'),
+      categories: ['n8n', 'AI & ML'],
+      image: 'https://example.com/cover.png',
+      author: 'Jane',
+    },
+  ],
+};
+
+describe('escapeXml', () => {
+  it('escapes the five XML special characters', () => {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>`)).toBe(
+      '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;',
+    );
+  });
+
+  it('escapes already escaped text again', () => {
+    expect(escapeXml('&amp;')).toBe('&amp;amp;');
+  });
+});
+
+describe('absolutizeUrls', () => {
+  it('resolves root-relative src and href against the base', () => {
+    expect(absolutizeUrls('<a href="/en/blog/">x</a><img src="/img/a.png">', 'https://example.com/en/news/')).toBe(
+      '<a href="https://example.com/en/blog/">x</a><img src="https://example.com/img/a.png">',
+    );
+  });
+
+  it('leaves absolute, protocol-relative, relative and fragment URLs alone', () => {
+    const html = '<a href="https://other.com/">a</a><img src="//cdn.com/x.png"><a href="page/">b</a><a href="#top">c</a>';
+    expect(absolutizeUrls(html, 'https://example.com/')).toBe(html);
+  });
+});
+
+describe('renderRss', () => {
+  const xml = renderRss(feed);
+
+  it('escapes text and URLs', () => {
+    expect(xml).toContain('<title>News &amp; notes — Run Swift Studio</title>');
+    expect(xml).toContain('<title>Tom &amp; Jerry&apos;s &quot;&lt;script&gt;&quot;</title>');
+    expect(xml).toContain('<link>https://example.com/en/news/a-b/?x=1&amp;y=2</link>');
+    expect(xml).toContain('<category>AI &amp; ML</category>');
+    expect(xml).not.toContain('<script>');
+  });
+
+  it('puts the cover image above the escaped body', () => {
+    expect(xml).toContain(
+      '<content:encoded>&lt;p&gt;&lt;img src=&quot;https://example.com/cover.png&quot; alt=&quot;&quot; /&gt;&lt;/p&gt;\n&lt;p&gt;Body &amp; &lt;b&gt;bold&lt;/b&gt;&lt;/p&gt;</content:encoded>',
+    );
+  });
+
+  it('dates the channel by its newest item', () => {
+    expect(xml).toContain('<lastBuildDate>Sat, 01 Mar 2025 12:00:00 GMT</lastBuildDate>');
+  });
+
+  it('writes an author only for items that have one', () => {
+    expect(xml.match(/<dc:creator>/g)).toHaveLength(1);
+  });
+});
+
+describe('renderAtom', () => {
+  const xml = renderAtom(feed);
+
+  it('escapes attributes and content', () => {
+    expect(xml).toContain('<link rel="alternate" type="text/html" href="https://example.com/en/news/a-b/?x=1&amp;y=2" />');
+    expect(xml).toContain('<category term="AI &amp; ML" />');
+    expect(xml).toContain('<subtitle>Automation &lt;news&gt;</subtitle>');
+  });
+
+  it('uses ISO dates and the newest item as the feed update time', () => {
+    expect(xml).toContain('<updated>2025-03-01T12:00:00.000Z</updated>\n  <link rel="self"');
+    expect(xml).toContain('<published>2025-01-01T10:00:00.000Z</published>');
+  });
+});
+
+describe('renderJsonFeed', () => {
+  it('keeps text unescaped and omits missing optional fields', () => {
+    const json = JSON.parse(renderJsonFeed(feed));
+    expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(json.items[1]).toMatchObject({
+      id: 'https://example.com/en/news/a-b/?x=1&y=2',
+      title: 'Tom & Jerry\'s "<script>"',
+      content_html: '<p>Body & <b>bold</b></p>',
+      tags: ['n8n', 'AI & ML'],
+      authors: [{ name: 'Jane' }],
+    });
+    expect(json.items[0]).not.toHaveProperty('authors');
+    expect(json.items[0]).not.toHaveProperty('image');
+  });
+});
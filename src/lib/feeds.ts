@@ -0,0 +1,138 @@
+/**
+ * Serializers for RSS 2.0, Atom 1.0 and JSON Feed 1.1. They take one
+ * format-neutral description of a feed; URLs in it must already be absolute.
+ */
+
+export interface FeedItem {
+  /** Absolute URL of the item's page, also used as its id */
+  url: string;
+  title: string;
+  summary: string;
+  /** Full body as HTML */
+  html: string;
+  published: Date;
+  categories: string[];
+  image?: string;
+  author?: string;
+}
+
+export interface Feed {
+  title: string;
+  description: string;
+  /** BCP 47 language tag */
+  lang: string;
+  /** Absolute URL of the HTML page the feed mirrors */
+  homeUrl: string;
+  /** Absolute URL of the feed itself */
+  feedUrl: string;
+  /** Publisher, used where an item has no author of its own */
+  author: string;
+  items: FeedItem[];
+}
+
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+export const FEED_FORMATS: Record<FeedFormat, { file: string; type: string; label: string }> = {
+  rss: { file: 'rss.xml', type: 'application/rss+xml', label: 'RSS' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom' },
+  json: { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed' },
+};
+
+const XML_ENTITIES: Record<string, string> = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+export const escapeXml = (text: string): string => text.replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+/**
+ * Makes root-relative `src`/`href` URLs in rendered HTML absolute: feed
+ * readers resolve them against the feed, not the article.
+ */
+export const absolutizeUrls = (html: string, base: string | URL): string =>
+  html.replace(/\b(src|href)="(\/(?!\/)[^"]*)"/g, (_, attribute: string, path: string) => `${attribute}="${new URL(path, base).href}"`);
+
+// Newest item date, so unchanged content gives byte-identical feeds
+const lastUpdated = (feed: Feed): Date =>
+  feed.items.reduce<Date | undefined>((latest, item) => (!latest || item.published > latest ? item.published : latest), undefined)
+  ?? new Date();
+
+// Feed readers show no frontmatter, so the cover image goes on top of the body
+const bodyWithImage = (item: FeedItem): string =>
+  item.image ? `<p><img src="${escapeXml(item.image)}" alt="" /></p>\n${item.html}` : item.html;
+
+export function renderRss(feed: Feed): string {
+  const items = feed.items.map((item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(bodyWithImage(item))}</content:encoded>
+${item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>\n` : ''}${item.categories.map((category) => `      <category>${escapeXml(category)}</category>\n`).join('')}${item.image ? `      <media:content url="${escapeXml(item.image)}" medium="image" />\n` : ''}    </item>
+`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.lang)}</language>
+    <lastBuildDate>${lastUpdated(feed).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="${FEED_FORMATS.rss.type}" />
+${items}  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed: Feed): string {
+  const entries = feed.items.map((item) => `  <entry>
+    <id>${escapeXml(item.url)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.published.toISOString()}</updated>
+${item.author ? `    <author><name>${escapeXml(item.author)}</name></author>\n` : ''}    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(bodyWithImage(item))}</content>
+${item.categories.map((category) => `    <category term="${escapeXml(category)}" />\n`).join('')}${item.image ? `    <link rel="enclosure" href="${escapeXml(item.image)}" />\n` : ''}  </entry>
+`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.lang)}">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <updated>${lastUpdated(feed).toISOString()}</updated>
+  <link rel="self" type="${FEED_FORMATS.atom.type}" href="${escapeXml(feed.feedUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />
+  <author><name>${escapeXml(feed.author)}</name></author>
+${entries}</feed>
+`;
+}
+
+export function renderJsonFeed(feed: Feed): string {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: feed.lang,
+    authors: [{ name: feed.author }],
+    items: feed.items.map((item) => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.html,
+      image: item.image,
+      date_published: item.published.toISOString(),
+      tags: item.categories,
+      authors: item.author ? [{ name: item.author }] : undefined,
+    })),
+  }, null, 2) + '\n';
+}
+
+export const renderFeed: Record<FeedFormat, (feed: Feed) => string> = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed,
+};
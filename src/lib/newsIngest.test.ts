@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { ingestNewsEntry, normalizeNewsEntry, stripDuplicateTitleLines, validateNewsEntry } from './newsIngest';
+
+const TITLE = 'Крипторынок на подъёме: Bitcoin превысил 92 тысячи долларов';
+
+const valid = {
+  title: TITLE,
+  description: 'Bitcoin подорожал на 3% и превысил 92 тысячи долларов, инвесторы возвращаются к рисковым активам.',
+  pubDate: '2025-12-10',
+  tags: ['Crypto'],
+  source: 'https://example.com/news/bitcoin',
+  lang: 'ru',
+};
+
+const paths = (issues: { path: string; code: string }[]) => issues.map((issue) => issue.path);
+
+describe('stripDuplicateTitleLines', () => {
+  it('drops the title, its heading and scraped page titles from the top', () => {
+    const body = `\n# ${TITLE}\n\nКрипторынок на подъёме: Bitcoin превысил 92 тысячи долларов | Media.az | Новости\n\nТекст новости.\n\n${TITLE}`;
+    expect(stripDuplicateTitleLines(body, TITLE)).toEqual({ body: `\n\n\nТекст новости.\n\n${TITLE}`, removed: 2 });
+  });
+
+  it('keeps short lines that only happen to be part of the title', () => {
+    expect(stripDuplicateTitleLines('Bitcoin\n\nТекст', TITLE).removed).toBe(0);
+  });
+});
+
+describe('normalizeNewsEntry', () => {
+  it('trims fields, cleans tags, adds lang and drops unknown fields', () => {
+    const { entry, changes } = normalizeNewsEntry(
+      { data: { ...valid, title: ` ${TITLE} `, tags: ['AI', 'ai', ' News ', '—'], lang: undefined, views: 3 }, body: 'Текст  \n\n\n\nещё\n' },
+      { lang: 'ru' },
+    );
+
+    expect(entry.data).toEqual({ ...valid, tags: ['AI', 'News'] });
+    expect(Object.keys(entry.data)).toEqual(['title', 'description', 'pubDate', 'tags', 'source', 'lang']);
+    expect(entry.body).toBe('Текст\n\nещё\n');
+    expect(changes.map((change) => change.code).sort()).toEqual([
+      'blank-lines-collapsed', 'fields-trimmed', 'lang-added', 'tags-cleaned', 'unknown-fields-dropped',
+    ]);
+  });
+
+  it('reports nothing for a tidy entry', () => {
+    expect(normalizeNewsEntry({ data: valid, body: 'Текст\n' }, { lang: 'ru' }).changes).toEqual([]);
+  });
+});
+
+describe('validateNewsEntry', () => {
+  it('accepts a complete entry', () => {
+    expect(validateNewsEntry({ data: valid, body: 'Текст' })).toEqual([]);
+  });
+
+  it('requires a source unless the entry is a draft', () => {
+    const withoutSource = { ...valid, source: undefined };
+    expect(paths(validateNewsEntry({ data: withoutSource, body: 'Текст' }))).toEqual(['source']);
+    expect(validateNewsEntry({ data: { ...withoutSource, draft: true }, body: 'Текст' })).toEqual([]);
+  });
+
+  it.each(['Tech Digest', 'javascript:alert(1)', 'ftp://example.com/news', 'mailto:news@example.com'])(
+    'rejects %s as a source, drafts included',
+    (source) => {
+      expect(paths(validateNewsEntry({ data: { ...valid, source }, body: 'Текст' }))).toEqual(['source']);
+      expect(paths(validateNewsEntry({ data: { ...valid, source, draft: true }, body: 'Текст' }))).toEqual(['source']);
+    },
+  );
+
+  it('rejects short descriptions, foreign image hosts and empty bodies', () => {
+    const issues = validateNewsEntry({
+      data: { ...valid, description: 'Автоматическая новость от AI', image: 'https://placehold.co/600x400/png' },
+      body: '  \n',
+    });
+    expect(paths(issues)).toEqual(['description', 'image', 'body']);
+  });
+});
+
+describe('ingestNewsEntry', () => {
+  it('names the file after the transliterated title', () => {
+    const result = ingestNewsEntry({ data: valid, body: 'Текст' }, { lang: 'ru' });
+    expect(result.slug).toBe('kriptorynok-na-podeme-bitcoin-prevysil-92-tysyachi-dollarov');
+    expect(result.issues).toEqual([]);
+  });
+});
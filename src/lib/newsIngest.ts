@@ -0,0 +1,151 @@
+/**
+ * Checks and tidies news entries before they enter src/content/news: the
+ * file-format-free half of scripts/ingest-news.ts, which the n8n pipeline runs
+ * on every generated file.
+ */
+import { newsSchema } from '../content/schemas';
+import { asciiSlug, slugify } from './slug';
+
+export interface NewsEntry {
+  /** Frontmatter as parsed from YAML */
+  data: Record<string, unknown>;
+  /** Markdown body */
+  body: string;
+}
+
+export interface IngestChange {
+  code: 'title-lines-stripped' | 'tags-cleaned' | 'fields-trimmed' | 'lang-added' | 'unknown-fields-dropped' | 'blank-lines-collapsed';
+  detail: string;
+}
+
+export interface IngestIssue {
+  /** Frontmatter field ("source", "tags.1"), or "body" */
+  path: string;
+  code: string;
+  message: string;
+}
+
+export interface IngestResult {
+  entry: NewsEntry;
+  /** File name the entry would get from its title, without ".md" */
+  slug: string;
+  changes: IngestChange[];
+  issues: IngestIssue[];
+}
+
+// Field order of written files; anything else is not part of the schema
+const FIELDS = ['title', 'description', 'pubDate', 'image', 'tags', 'source', 'category', 'lang', 'translationKey', 'draft', 'expires'];
+
+// Echoes shorter than this are not reliably the headline ("Новости", "Home")
+const MIN_ECHO_LENGTH = 20;
+
+const comparable = (line: string) =>
+  line
+    .replace(/^\s*#+\s*/, '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Whether a line repeats the title: the title itself, a Markdown heading of
+ * it, or a scraped page title such as "Headline | Site name | Section".
+ */
+function isTitleEcho(line: string, title: string): boolean {
+  const head = comparable(line.split(' | ')[0]);
+  if (head === '') return false;
+  if (head === title) return true;
+  return head.length >= MIN_ECHO_LENGTH && (title.includes(head) || head.includes(title));
+}
+
+/** Drops title echoes from the top of the body, where scrapers leave them */
+export function stripDuplicateTitleLines(body: string, title: string): { body: string; removed: number } {
+  const titleText = comparable(title);
+  const lines = body.split('\n');
+  let removed = 0;
+
+  for (let i = 0; i < lines.length; ) {
+    if (lines[i].trim() === '') {
+      i++;
+      continue;
+    }
+    if (!isTitleEcho(lines[i], titleText)) break;
+    lines.splice(i, 1);
+    removed++;
+  }
+
+  return { body: lines.join('\n'), removed };
+}
+
+export interface NormalizeOptions {
+  /** Locale for entries without `lang` */
+  lang: string;
+}
+
+export function normalizeNewsEntry({ data, body }: NewsEntry, { lang }: NormalizeOptions): { entry: NewsEntry; changes: IngestChange[] } {
+  const changes: IngestChange[] = [];
+  const next: Record<string, unknown> = {};
+
+  const unknown = Object.keys(data).filter((key) => !FIELDS.includes(key));
+  if (unknown.length > 0) changes.push({ code: 'unknown-fields-dropped', detail: unknown.join(', ') });
+
+  const trimmed: string[] = [];
+  for (const key of FIELDS) {
+    const value = data[key];
+    if (value === undefined || value === null) continue;
+    if (typeof value === 'string' && value !== value.trim()) trimmed.push(key);
+    next[key] = typeof value === 'string' ? value.trim() : value;
+  }
+  if (trimmed.length > 0) changes.push({ code: 'fields-trimmed', detail: trimmed.join(', ') });
+
+  if (Array.isArray(next.tags)) {
+    const original: unknown[] = next.tags;
+    const seen = new Set<string>();
+    const tags = original
+      .map((tag) => String(tag).trim())
+      .filter((tag) => {
+        const key = slugify(tag);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    if (tags.length !== original.length || tags.some((tag, i) => tag !== original[i])) {
+      changes.push({ code: 'tags-cleaned', detail: `${original.length} → ${tags.length}` });
+    }
+    next.tags = tags;
+  }
+
+  if (next.lang === undefined) {
+    next.lang = lang;
+    changes.push({ code: 'lang-added', detail: lang });
+  }
+
+  let text = body;
+  if (typeof next.title === 'string') {
+    const stripped = stripDuplicateTitleLines(text, next.title);
+    if (stripped.removed > 0) changes.push({ code: 'title-lines-stripped', detail: String(stripped.removed) });
+    text = stripped.body;
+  }
+
+  const collapsed = text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+  if (collapsed !== text.trim()) changes.push({ code: 'blank-lines-collapsed', detail: 'trailing spaces and extra blank lines' });
+
+  return { entry: { data: next, body: `${collapsed}\n` }, changes };
+}
+
+export function validateNewsEntry({ data, body }: NewsEntry): IngestIssue[] {
+  const parsed = newsSchema.safeParse(data);
+  const issues: IngestIssue[] = parsed.success
+    ? []
+    : parsed.error.issues.map((issue) => ({ path: issue.path.join('.'), code: issue.code, message: issue.message }));
+
+  if (body.trim() === '') issues.push({ path: 'body', code: 'empty', message: 'the entry has no text' });
+  return issues;
+}
+
+/** Normalises and validates one entry; `issues` is empty when it may be published */
+export function ingestNewsEntry(raw: NewsEntry, options: NormalizeOptions): IngestResult {
+  const { entry, changes } = normalizeNewsEntry(raw, options);
+  const title = typeof entry.data.title === 'string' ? entry.data.title : '';
+  return { entry, slug: asciiSlug(title), changes, issues: validateNewsEntry(entry) };
+}
@@ -0,0 +1,38 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { detectStartingTier, QualityGovernor, type QualityTier } from './qualityGovernor';
+
+describe('detectStartingTier', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('starts low-end devices on a lower tier', () => {
+    vi.stubGlobal('navigator', { hardwareConcurrency: 2, deviceMemory: 8 });
+    expect(detectStartingTier()).toBe(2);
+    vi.stubGlobal('navigator', { hardwareConcurrency: 8, deviceMemory: 4 });
+    expect(detectStartingTier()).toBe(1);
+    vi.stubGlobal('navigator', { hardwareConcurrency: 8 });
+    expect(detectStartingTier()).toBe(0);
+  });
+});
+
+describe('QualityGovernor', () => {
+  it('steps down after sustained slow frames only', () => {
+    const changes: QualityTier[] = [];
+    const governor = new QualityGovernor(20, (tier) => changes.push(tier), 0);
+
+    for (let i = 0; i < 89; i++) governor.sample(30);
+    expect(changes).toEqual([]);
+    governor.sample(30);
+    expect(changes.map((tier) => tier.name)).toEqual(['medium']);
+  });
+
+  it('ignores pauses and recovers when frames speed up', () => {
+    const onChange = vi.fn();
+    const governor = new QualityGovernor(20, onChange, 0);
+
+    for (let i = 0; i < 200; i++) governor.sample(i % 2 === 0 ? 1000 : 10);
+    for (let i = 0; i < 80; i++) governor.sample(30);
+    governor.reset();
+    for (let i = 0; i < 80; i++) governor.sample(30);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Adaptive quality for canvas effects: picks a starting tier from device
+ * hints and steps down while frames keep missing the time budget.
+ */
+
+export interface QualityTier {
+  name: 'high' | 'medium' | 'low' | 'minimal';
+  /** Multiplier for point and comet counts */
+  scale: number;
+}
+
+export const QUALITY_TIERS: readonly QualityTier[] = [
+  { name: 'high', scale: 1 },
+  { name: 'medium', scale: 0.6 },
+  { name: 'low', scale: 0.35 },
+  { name: 'minimal', scale: 0.2 },
+];
+
+// Frames longer than this are tab switches or GC pauses, not sustained load
+const MAX_SAMPLE_MS = 250;
+// Consecutive slow frames (~1.5 s at 60 fps) before stepping down
+const SLOW_FRAMES_TO_DOWNGRADE = 90;
+const SMOOTHING = 0.1;
+
+/**
+ * Starting tier index from `navigator.hardwareConcurrency` and
+ * `navigator.deviceMemory` (Chromium only); unknown hints count as capable.
+ */
+export function detectStartingTier(): number {
+  if (typeof navigator === 'undefined') return 0;
+
+  const cores = navigator.hardwareConcurrency ?? 8;
+  const memory = (navigator as Navigator & { deviceMemory?: number }).deviceMemory ?? 8;
+
+  if (cores <= 2 || memory <= 1) return 2;
+  if (cores <= 4 || memory <= 4) return 1;
+  return 0;
+}
+
+export class QualityGovernor {
+  tierIndex: number;
+  private averageMs = 0;
+  private slowFrames = 0;
+
+  constructor(
+    private readonly budgetMs: number,
+    private readonly onChange: (tier: QualityTier) => void,
+    startTier = detectStartingTier()
+  ) {
+    this.tierIndex = Math.min(QUALITY_TIERS.length - 1, Math.max(0, startTier));
+  }
+
+  get tier(): QualityTier {
+    return QUALITY_TIERS[this.tierIndex];
+  }
+
+  /** Feed the time since the previous frame, in milliseconds. */
+  sample(frameMs: number): void {
+    if (frameMs <= 0 || frameMs > MAX_SAMPLE_MS) return;
+
+    this.averageMs = this.averageMs === 0 ? frameMs : this.averageMs + (frameMs - this.averageMs) * SMOOTHING;
+    this.slowFrames = this.averageMs > this.budgetMs ? this.slowFrames + 1 : 0;
+
+    if (this.slowFrames >= SLOW_FRAMES_TO_DOWNGRADE && this.tierIndex < QUALITY_TIERS.length - 1) {
+      this.tierIndex++;
+      this.reset();
+      this.onChange(this.tier);
+    }
+  }
+
+  /** Forget collected samples, e.g. after a pause. */
+  reset(): void {
+    this.averageMs = 0;
+    this.slowFrames = 0;
+  }
+}
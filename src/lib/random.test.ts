@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { createRandom, hashString, randomIndex } from './random';
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const sequence = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(sequence);
+    expect(Array.from({ length: 5 }, createRandom(43))).not.toEqual(sequence);
+  });
+
+  it('stays within [0, 1)', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  it('falls back to Math.random without a seed', () => {
+    expect(createRandom()).toBe(Math.random);
+  });
+});
+
+describe('randomIndex', () => {
+  it('returns integers below max', () => {
+    const random = createRandom(1);
+    const seen = new Set(Array.from({ length: 200 }, () => randomIndex(random, 4)));
+    expect([...seen].sort()).toEqual([0, 1, 2, 3]);
+  });
+});
+
+describe('hashString', () => {
+  it('is the 32-bit FNV-1a hash', () => {
+    expect(hashString('')).toBe(0x811c9dc5);
+    expect(hashString('a')).toBe(0xe40c292c);
+  });
+});
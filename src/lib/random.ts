@@ -0,0 +1,32 @@
+/**
+ * Seedable random source. With a seed the sequence is reproducible
+ * (mulberry32), without one it is plain Math.random.
+ */
+
+export type RandomSource = () => number;
+
+export function createRandom(seed?: number): RandomSource {
+  if (seed === undefined || seed === null) return Math.random;
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Integer in [0, max) */
+export const randomIndex = (random: RandomSource, max: number): number => Math.floor(random() * max);
+
+/** 32-bit FNV-1a hash, e.g. to derive a stable seed from a string */
+export function hashString(value: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,25 @@
+/**
+ * Offline full-text search over the article collections.
+ *
+ *   Build time:  buildSearchIndex(lang, docs) → /<lang>/search.json
+ *   Browser:     search(index, query, { collection, tag }) → { results, total }
+ *
+ * The search island is components/Search.tsx.
+ */
+export {
+  buildSearchIndex,
+  createMatcher,
+  highlight,
+  indexTags,
+  search,
+  snippet,
+  type QueryMatcher,
+  type SearchDocument,
+  type SearchFilters,
+  type SearchIndex,
+  type SearchResult,
+  type SearchResults,
+  type TextPart,
+} from './searchIndex';
+export { getStemmer, stemEnglish, stemGerman, stemRussian, type Stemmer } from './stemmers';
+export { htmlToText, normalizeWord, tokenize, type Token } from './tokenize';
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { buildSearchIndex, createMatcher, highlight, indexTags, search, snippet, type SearchDocument } from './searchIndex';
+
+const doc = (overrides: Partial<SearchDocument>): SearchDocument => ({
+  collection: 'news',
+  url: '/en/news/x/',
+  title: '',
+  description: '',
+  tags: [],
+  date: '2025-01-01',
+  text: '',
+  ...overrides,
+});
+
+const docs = [
+  doc({ url: '/en/news/workflows/', title: 'Workflows in n8n', tags: ['n8n'], date: '2025-01-01' }),
+  doc({ url: '/en/blog/agents/', collection: 'blog', title: 'AI agents', text: 'Agents can run workflows for you.', tags: ['AI & ML'], date: '2025-03-01' }),
+  doc({ url: '/en/news/release/', title: 'Release notes', description: 'A new workflow editor', date: '2025-02-01' }),
+];
+
+const index = buildSearchIndex('en', docs);
+const urls = (query: string, filters = {}, limit?: number) => search(index, query, filters, limit).results.map((result) => result.doc.url);
+
+describe('search', () => {
+  it('ranks title matches above description and body matches', () => {
+    expect(urls('workflows')).toEqual(['/en/news/workflows/', '/en/news/release/', '/en/blog/agents/']);
+  });
+
+  it('requires every word and matches the last one as a prefix', () => {
+    expect(urls('agents work')).toEqual(['/en/blog/agents/']);
+    expect(urls('agents work ')).toEqual([]);
+  });
+
+  it('lists everything newest first for an empty query', () => {
+    expect(urls('')).toEqual(['/en/blog/agents/', '/en/news/release/', '/en/news/workflows/']);
+  });
+
+  it('filters by collection and tag slug', () => {
+    expect(urls('', { collection: 'news' })).toEqual(['/en/news/release/', '/en/news/workflows/']);
+    expect(urls('', { tag: 'ai-ml' })).toEqual(['/en/blog/agents/']);
+  });
+
+  it('reports the total number of matches past the limit', () => {
+    const { results, total } = search(index, 'workflow', {}, 2);
+    expect(results).toHaveLength(2);
+    expect(total).toBe(3);
+    expect(search(index, 'workflow', { collection: 'blog' }, 2).total).toBe(1);
+  });
+});
+
+describe('highlight and snippet', () => {
+  const matcher = createMatcher('en', 'workflows');
+
+  it('marks the matching words, including other forms of them', () => {
+    expect(highlight('One workflow, two workflows', matcher)).toEqual([
+      { text: 'One ', match: false },
+      { text: 'workflow', match: true },
+      { text: ', two ', match: false },
+      { text: 'workflows', match: true },
+    ]);
+  });
+
+  it('cuts long text around the first match on word boundaries', () => {
+    const text = `${'lorem '.repeat(40)}workflow ${'ipsum '.repeat(40)}`.trim();
+    const parts = snippet(text, matcher);
+    expect(parts[0]).toEqual({ text: '… ', match: false });
+    expect(parts.at(-1)).toEqual({ text: ' …', match: false });
+    expect(parts.some((part) => part.match && part.text === 'workflow')).toBe(true);
+    expect(parts.map((part) => part.text).join('').length).toBeLessThanOrEqual(190);
+  });
+});
+
+describe('indexTags', () => {
+  it('lists each tag slug once with its first spelling', () => {
+    expect(indexTags(index)).toEqual([
+      { slug: 'ai-ml', label: 'AI & ML' },
+      { slug: 'n8n', label: 'n8n' },
+    ]);
+  });
+});
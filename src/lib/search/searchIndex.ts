@@ -0,0 +1,219 @@
+/**
+ * A compact inverted index over stemmed words, built once per locale at build
+ * time and queried in the browser.
+ *
+ *   terms: { "автоматизац": [0, 13, 2, 1] }   stem → [doc, weight, doc, weight, …]
+ *
+ * A document matches when every query word does; the last word also matches
+ * as a prefix, so results update while typing.
+ */
+import { slugify } from '../slug';
+import { getStemmer } from './stemmers';
+import { tokenize } from './tokenize';
+
+export interface SearchDocument {
+  collection: string;
+  /** Site-relative URL */
+  url: string;
+  title: string;
+  description: string;
+  tags: string[];
+  /** ISO date */
+  date: string;
+  /** Plain body text, for snippets */
+  text: string;
+}
+
+export interface SearchIndex {
+  version: 1;
+  lang: string;
+  docs: SearchDocument[];
+  terms: Record<string, number[]>;
+}
+
+// Where a word appears decides how much it counts
+const FIELD_WEIGHTS = { title: 10, tags: 6, description: 3, text: 1 } as const;
+// Long bodies would otherwise outrank a title match by repetition alone
+const MAX_TEXT_WEIGHT = 5;
+
+export function buildSearchIndex(lang: string, docs: SearchDocument[]): SearchIndex {
+  const stem = getStemmer(lang);
+  const terms: Record<string, number[]> = {};
+
+  docs.forEach((doc, index) => {
+    const weights = new Map<string, number>();
+    const add = (text: string, field: keyof typeof FIELD_WEIGHTS) => {
+      for (const { word } of tokenize(text)) {
+        const key = stem(word);
+        weights.set(key, (weights.get(key) ?? 0) + FIELD_WEIGHTS[field]);
+      }
+    };
+
+    add(doc.title, 'title');
+    add(doc.tags.join(' '), 'tags');
+    add(doc.description, 'description');
+
+    const body = new Map<string, number>();
+    for (const { word } of tokenize(doc.text)) {
+      const key = stem(word);
+      body.set(key, Math.min(MAX_TEXT_WEIGHT, (body.get(key) ?? 0) + FIELD_WEIGHTS.text));
+    }
+    for (const [key, weight] of body) weights.set(key, (weights.get(key) ?? 0) + weight);
+
+    for (const [key, weight] of weights) (terms[key] ??= []).push(index, weight);
+  });
+
+  return { version: 1, lang, docs, terms };
+}
+
+export interface SearchFilters {
+  collection?: string;
+  /** Tag slug, as in /news/tag/<slug> */
+  tag?: string;
+}
+
+/** Piece of a highlighted string */
+export interface TextPart {
+  text: string;
+  match: boolean;
+}
+
+export interface SearchResult {
+  doc: SearchDocument;
+  score: number;
+  title: TextPart[];
+  snippet: TextPart[];
+}
+
+interface QueryTerm {
+  stem: string;
+  /** The query ends mid-word: longer words match too */
+  prefix: boolean;
+}
+
+function parseQuery(lang: string, query: string): QueryTerm[] {
+  const stem = getStemmer(lang);
+  const words = tokenize(query);
+  const endsMidWord = !/[\s\p{P}]$/u.test(query);
+  return words.map(({ word }, i) => ({ stem: stem(word), prefix: endsMidWord && i === words.length - 1 }));
+}
+
+const termMatches = (term: QueryTerm, key: string) => key === term.stem || (term.prefix && key.startsWith(term.stem));
+
+/** Tells whether a (normalised) word matches the query */
+export interface QueryMatcher {
+  readonly isEmpty: boolean;
+  matches(word: string): boolean;
+}
+
+export function createMatcher(lang: string, query: string): QueryMatcher {
+  const stem = getStemmer(lang);
+  const terms = parseQuery(lang, query);
+
+  return {
+    isEmpty: terms.length === 0,
+    matches: (word) => {
+      const key = stem(word);
+      return terms.some((term) => termMatches(term, key));
+    },
+  };
+}
+
+export function highlight(text: string, matcher: QueryMatcher): TextPart[] {
+  const parts: TextPart[] = [];
+  let last = 0;
+
+  for (const { word, start, end } of tokenize(text)) {
+    if (!matcher.matches(word)) continue;
+    if (start > last) parts.push({ text: text.slice(last, start), match: false });
+    parts.push({ text: text.slice(start, end), match: true });
+    last = end;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), match: false });
+
+  return parts;
+}
+
+const SNIPPET_LENGTH = 180;
+const SNIPPET_LEAD = 60;
+
+/** About SNIPPET_LENGTH characters of `text` around its first match, on word boundaries */
+export function snippet(text: string, matcher: QueryMatcher): TextPart[] {
+  const tokens = tokenize(text);
+  const first = tokens.find(({ word }) => matcher.matches(word));
+  const from = first ? tokens.find(({ end }) => end > first.start - SNIPPET_LEAD)?.start ?? 0 : 0;
+  const to = tokens.findLast(({ end }) => end <= from + SNIPPET_LENGTH)?.end ?? text.length;
+
+  const parts = highlight(text.slice(from, to), matcher);
+  if (from > 0) parts.unshift({ text: '… ', match: false });
+  if (to < text.length) parts.push({ text: ' …', match: false });
+  return parts;
+}
+
+const matchesFilters = (doc: SearchDocument, { collection, tag }: SearchFilters) =>
+  (!collection || doc.collection === collection) && (!tag || doc.tags.some((label) => slugify(label) === tag));
+
+export interface SearchResults {
+  /** The best `limit` matches */
+  results: SearchResult[];
+  /** Every match, including those past the limit */
+  total: number;
+}
+
+/**
+ * Documents matching `query` and `filters`, best first. An empty query lists
+ * every document that passes the filters, newest first.
+ */
+export function search(index: SearchIndex, query: string, filters: SearchFilters = {}, limit = 20): SearchResults {
+  const matcher = createMatcher(index.lang, query);
+
+  let scored: { doc: number; score: number }[];
+  if (matcher.isEmpty) {
+    scored = index.docs
+      .map((_, doc) => ({ doc, score: 0 }))
+      .sort((a, b) => index.docs[b.doc].date.localeCompare(index.docs[a.doc].date));
+  } else {
+    // Per query word: the best weight of any matching index term in each document
+    const perTerm = parseQuery(index.lang, query).map((term) => {
+      const best = new Map<number, number>();
+      for (const [key, postings] of Object.entries(index.terms)) {
+        if (!termMatches(term, key)) continue;
+        for (let p = 0; p < postings.length; p += 2) {
+          best.set(postings[p], Math.max(best.get(postings[p]) ?? 0, postings[p + 1]));
+        }
+      }
+      return best;
+    });
+
+    const [first, ...rest] = perTerm;
+    scored = [...first.keys()]
+      .filter((doc) => rest.every((best) => best.has(doc)))
+      .map((doc) => ({ doc, score: perTerm.reduce((sum, best) => sum + (best.get(doc) ?? 0), 0) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  const matches = scored.filter(({ doc }) => matchesFilters(index.docs[doc], filters));
+  const results = matches.slice(0, limit).map(({ doc, score }) => {
+    const document = index.docs[doc];
+    return {
+      doc: document,
+      score,
+      title: highlight(document.title, matcher),
+      snippet: snippet(document.text || document.description, matcher),
+    };
+  });
+
+  return { results, total: matches.length };
+}
+
+/** Tags used in the index, by slug, for the tag filter */
+export function indexTags(index: SearchIndex): { slug: string; label: string }[] {
+  const tags = new Map<string, string>();
+  for (const doc of index.docs) {
+    for (const label of doc.tags) {
+      const slug = slugify(label);
+      if (slug && !tags.has(slug)) tags.set(slug, label);
+    }
+  }
+  return [...tags].map(([slug, label]) => ({ slug, label })).sort((a, b) => a.label.localeCompare(b.label));
+}
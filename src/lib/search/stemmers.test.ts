@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { getStemmer, stemEnglish, stemGerman, stemRussian } from './stemmers';
+
+// Expected stems are the Snowball reference outputs (https://snowballstem.org/algorithms/)
+describe('stemRussian', () => {
+  it.each([
+    ['автоматизация', 'автоматизац'],
+    ['автоматизацию', 'автоматизац'],
+    ['интеграциями', 'интеграц'],
+    ['процессов', 'процесс'],
+    ['красивая', 'красив'],
+    ['красивый', 'красив'],
+    ['новостей', 'новост'],
+    ['бегущий', 'бегущ'],
+  ])('%s → %s', (word, stem) => {
+    expect(stemRussian(word)).toBe(stem);
+  });
+
+  it('gives the forms of one word the same stem', () => {
+    expect(new Set(['новости', 'новостей', 'новостями'].map(stemRussian)).size).toBe(1);
+  });
+});
+
+describe('stemGerman', () => {
+  it.each([
+    ['häuser', 'haus'],
+    ['automatisierungen', 'automatisier'],
+    ['aufeinanderfolgenden', 'aufeinanderfolg'],
+    ['kategorien', 'kategori'],
+    ['möglichkeiten', 'moglich'],
+    ['laufen', 'lauf'],
+  ])('%s → %s', (word, stem) => {
+    expect(stemGerman(word)).toBe(stem);
+  });
+
+  it('treats ß as ss', () => {
+    expect(stemGerman('straße')).toBe(stemGerman('strasse'));
+  });
+});
+
+describe('stemEnglish', () => {
+  it.each([
+    ['workflows', 'workflow'],
+    ['categories', 'category'],
+    ['classes', 'class'],
+    ['glass', 'glass'],
+    ['bus', 'bus'],
+    ['is', 'is'],
+  ])('%s → %s', (word, stem) => {
+    expect(stemEnglish(word)).toBe(stem);
+  });
+});
+
+describe('getStemmer', () => {
+  it('falls back to whole words for unknown locales', () => {
+    expect(getStemmer('fr')('automatisations')).toBe('automatisations');
+    expect(getStemmer('de')).toBe(stemGerman);
+  });
+});
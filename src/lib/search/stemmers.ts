@@ -0,0 +1,198 @@
+/**
+ * Stemmers for the search index: the Snowball algorithms for Russian and
+ * German (https://snowballstem.org/algorithms/) and a plural-only stemmer for
+ * English. Words are expected lower-cased, as produced by ./tokenize.
+ */
+
+export type Stemmer = (word: string) => string;
+
+/** Longest of `endings` that `word` ends with, ending at or after `from` */
+function longestEnding(word: string, from: number, endings: readonly string[]): string | undefined {
+  return endings.find((ending) => word.endsWith(ending) && word.length - ending.length >= from);
+}
+
+const byLength = (endings: string[]) => endings.sort((a, b) => b.length - a.length);
+
+// ---------------------------------------------------------------------------
+// Russian
+
+const RU_VOWELS = 'аеиоуыэюя';
+
+const RU_PERFECTIVE_GERUND_1 = ['в', 'вши', 'вшись'];
+const RU_PERFECTIVE_GERUND_2 = ['ив', 'ивши', 'ившись', 'ыв', 'ывши', 'ывшись'];
+const RU_ADJECTIVE = byLength(['ее', 'ие', 'ые', 'ое', 'ими', 'ыми', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом', 'его', 'ого', 'ему', 'ому', 'их', 'ых', 'ую', 'юю', 'ая', 'яя', 'ою', 'ею']);
+const RU_PARTICIPLE_1 = ['ем', 'нн', 'вш', 'ющ', 'щ'];
+const RU_PARTICIPLE_2 = ['ивш', 'ывш', 'ующ'];
+const RU_REFLEXIVE = ['ся', 'сь'];
+const RU_VERB_1 = ['ла', 'на', 'ете', 'йте', 'ли', 'й', 'л', 'ем', 'н', 'ло', 'но', 'ет', 'ют', 'ны', 'ть', 'ешь', 'нно'];
+const RU_VERB_2 = ['ила', 'ыла', 'ена', 'ейте', 'уйте', 'ите', 'или', 'ыли', 'ей', 'уй', 'ил', 'ыл', 'им', 'ым', 'ен', 'ило', 'ыло', 'ено', 'ят', 'ует', 'уют', 'ит', 'ыт', 'ены', 'ить', 'ыть', 'ишь', 'ую', 'ю'];
+const RU_NOUN = byLength(['а', 'ев', 'ов', 'ие', 'ье', 'е', 'иями', 'ями', 'ами', 'еи', 'ии', 'и', 'ией', 'ей', 'ой', 'ий', 'й', 'иям', 'ям', 'ием', 'ем', 'ам', 'ом', 'о', 'у', 'ах', 'иях', 'ях', 'ы', 'ь', 'ию', 'ью', 'ю', 'ия', 'ья', 'я']);
+const RU_SUPERLATIVE = byLength(['ейш', 'ейше']);
+const RU_DERIVATIONAL = byLength(['ост', 'ость']);
+
+const grouped = (group1: string[], group2: string[]) => ({
+  endings: byLength([...group1, ...group2]),
+  needsAYa: new Set(group1),
+});
+
+const RU_GERUND = grouped(RU_PERFECTIVE_GERUND_1, RU_PERFECTIVE_GERUND_2);
+const RU_PARTICIPLE = grouped(RU_PARTICIPLE_1, RU_PARTICIPLE_2);
+const RU_VERB = grouped(RU_VERB_1, RU_VERB_2);
+
+/**
+ * Removes the longest ending of a two-group list; group 1 endings only count
+ * after "а" or "я". Returns undefined when the longest ending does not apply.
+ */
+function removeGrouped(word: string, rv: number, { endings, needsAYa }: ReturnType<typeof grouped>): string | undefined {
+  const ending = longestEnding(word, rv, endings);
+  if (!ending) return undefined;
+
+  const stem = word.slice(0, -ending.length);
+  if (needsAYa.has(ending) && !(stem.length > rv && 'ая'.includes(stem[stem.length - 1]))) return undefined;
+  return stem;
+}
+
+function removeEnding(word: string, from: number, endings: readonly string[]): string | undefined {
+  const ending = longestEnding(word, from, endings);
+  return ending === undefined ? undefined : word.slice(0, -ending.length);
+}
+
+/** Index after the first vowel followed by a non-vowel, from `start` */
+function regionAfterVowelConsonant(word: string, start: number, isVowel: (char: string) => boolean): number {
+  for (let i = start + 1; i < word.length; i++) {
+    if (!isVowel(word[i]) && isVowel(word[i - 1])) return i + 1;
+  }
+  return word.length;
+}
+
+export const stemRussian: Stemmer = (input) => {
+  let word = input.replace(/ё/g, 'е');
+  const isVowel = (char: string) => RU_VOWELS.includes(char);
+
+  const firstVowel = [...word].findIndex(isVowel);
+  if (firstVowel < 0) return word;
+  const rv = firstVowel + 1;
+  const r1 = regionAfterVowelConsonant(word, 0, isVowel);
+  const r2 = regionAfterVowelConsonant(word, r1, isVowel);
+
+  // Step 1
+  const withoutGerund = removeGrouped(word, rv, RU_GERUND);
+  if (withoutGerund !== undefined) {
+    word = withoutGerund;
+  } else {
+    word = removeEnding(word, rv, RU_REFLEXIVE) ?? word;
+
+    const withoutAdjective = removeEnding(word, rv, RU_ADJECTIVE);
+    if (withoutAdjective !== undefined) {
+      word = removeGrouped(withoutAdjective, rv, RU_PARTICIPLE) ?? withoutAdjective;
+    } else {
+      word = removeGrouped(word, rv, RU_VERB) ?? removeEnding(word, rv, RU_NOUN) ?? word;
+    }
+  }
+
+  // Step 2
+  if (word.endsWith('и') && word.length - 1 >= rv) word = word.slice(0, -1);
+
+  // Step 3
+  word = removeEnding(word, Math.max(rv, r2), RU_DERIVATIONAL) ?? word;
+
+  // Step 4
+  if (word.endsWith('нн') && word.length - 2 >= rv) {
+    word = word.slice(0, -1);
+  } else {
+    const withoutSuperlative = removeEnding(word, rv, RU_SUPERLATIVE);
+    if (withoutSuperlative !== undefined) {
+      word = withoutSuperlative;
+      if (word.endsWith('нн') && word.length - 2 >= rv) word = word.slice(0, -1);
+    } else if (word.endsWith('ь') && word.length - 1 >= rv) {
+      word = word.slice(0, -1);
+    }
+  }
+
+  return word;
+};
+
+// ---------------------------------------------------------------------------
+// German
+
+// "U" and "Y" mark u and y between vowels, which count as consonants
+const DE_VOWELS = 'aeiouyäöü';
+const DE_S_ENDING = 'bdfghklmnrt';
+const DE_ST_ENDING = 'bdfghklmnt';
+
+const DE_STEP_1 = byLength(['em', 'ern', 'er', 'e', 'en', 'es', 's']);
+const DE_STEP_2 = byLength(['en', 'er', 'est', 'st']);
+const DE_STEP_3 = byLength(['end', 'ung', 'ig', 'ik', 'isch', 'lich', 'heit', 'keit']);
+
+export const stemGerman: Stemmer = (input) => {
+  const isVowel = (char: string) => DE_VOWELS.includes(char);
+
+  let word = input
+    .replace(/ß/g, 'ss')
+    .replace(/(?<=[aeiouyäöü])([uy])(?=[aeiouyäöü])/g, (char) => char.toUpperCase());
+
+  // R1 starts after at least three letters
+  const r1 = Math.max(3, regionAfterVowelConsonant(word, 0, isVowel));
+  const r2 = regionAfterVowelConsonant(word, regionAfterVowelConsonant(word, 0, isVowel), isVowel);
+
+  // Step 1
+  const ending1 = longestEnding(word, 0, DE_STEP_1);
+  if (ending1 && word.length - ending1.length >= r1) {
+    const stem = word.slice(0, -ending1.length);
+    if (ending1 === 's') {
+      if (DE_S_ENDING.includes(stem[stem.length - 1])) word = stem;
+    } else {
+      word = ['e', 'en', 'es'].includes(ending1) && stem.endsWith('niss') ? stem.slice(0, -1) : stem;
+    }
+  }
+
+  // Step 2
+  const ending2 = longestEnding(word, 0, DE_STEP_2);
+  if (ending2 && word.length - ending2.length >= r1) {
+    const stem = word.slice(0, -ending2.length);
+    if (ending2 !== 'st') word = stem;
+    else if (stem.length >= 4 && DE_ST_ENDING.includes(stem[stem.length - 1])) word = stem;
+  }
+
+  // Step 3
+  const ending3 = longestEnding(word, 0, DE_STEP_3);
+  if (ending3 && word.length - ending3.length >= r2) {
+    const stem = word.slice(0, -ending3.length);
+    const inR1 = (suffix: string) => stem.endsWith(suffix) && stem.length - suffix.length >= r1;
+    const inR2 = (suffix: string) => stem.endsWith(suffix) && stem.length - suffix.length >= r2;
+
+    if (ending3 === 'end' || ending3 === 'ung') {
+      word = inR2('ig') && !stem.endsWith('eig') ? stem.slice(0, -2) : stem;
+    } else if (ending3 === 'ig' || ending3 === 'ik' || ending3 === 'isch') {
+      if (!stem.endsWith('e')) word = stem;
+    } else if (ending3 === 'lich' || ending3 === 'heit') {
+      word = inR1('er') || inR1('en') ? stem.slice(0, -2) : stem;
+    } else {
+      word = inR2('lich') ? stem.slice(0, -4) : inR2('ig') ? stem.slice(0, -2) : stem;
+    }
+  }
+
+  return word
+    .replace(/U/g, 'u')
+    .replace(/Y/g, 'y')
+    .replace(/ä/g, 'a')
+    .replace(/ö/g, 'o')
+    .replace(/ü/g, 'u');
+};
+
+// ---------------------------------------------------------------------------
+// English
+
+/** Plurals only: "bots" → "bot", "queries" → "query"; enough to match titles */
+export const stemEnglish: Stemmer = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+};
+
+const stemmers: Record<string, Stemmer> = { ru: stemRussian, de: stemGerman, en: stemEnglish };
+
+/** Stemmer for a locale code; unknown locales match whole words only */
+export const getStemmer = (lang: string): Stemmer => stemmers[lang] ?? ((word) => word);
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { htmlToText, normalizeWord, tokenize } from './tokenize';
+
+describe('tokenize', () => {
+  it('finds letter and digit runs with their offsets', () => {
+    expect(tokenize('n8n: Ёлки-палки!')).toEqual([
+      { word: 'n8n', start: 0, end: 3 },
+      { word: 'елки', start: 5, end: 9 },
+      { word: 'палки', start: 10, end: 15 },
+    ]);
+  });
+
+  it('normalises case and ё', () => {
+    expect(normalizeWord('ЁЖИК')).toBe('ежик');
+  });
+});
+
+describe('htmlToText', () => {
+  it('drops tags, scripts and styles and collapses whitespace', () => {
+    expect(htmlToText('<h2>Title</h2><p>One <b>bold</b>\n\nword</p><script>alert(1)</script><style>p{}</style>')).toBe(
+      'Title One bold word',
+    );
+  });
+
+  it('decodes named and numeric entities', () => {
+    expect(htmlToText('Tom &amp; Jerry &lt;3 &#8212; &#x1F44B; &nbsp;ok')).toBe('Tom & Jerry <3 — 👋 ok');
+  });
+
+  it('keeps unknown and out-of-range entities as written', () => {
+    expect(htmlToText('&bogus; &#x110000; &#99999999; &#xD800; &#0;')).toBe('&bogus; &#x110000; &#99999999; &#xD800; &#0;');
+  });
+});
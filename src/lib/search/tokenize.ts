@@ -0,0 +1,45 @@
+/**
+ * Word splitting shared by the index builder and the search box, so both
+ * normalise text the same way.
+ */
+
+export interface Token {
+  /** Normalised word: lower case, "ё" → "е" */
+  word: string;
+  /** Offsets of the original spelling in the text */
+  start: number;
+  end: number;
+}
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+export const normalizeWord = (word: string): string => word.toLowerCase().replace(/ё/g, 'е');
+
+export function tokenize(text: string): Token[] {
+  return [...text.matchAll(WORD)].map((match) => ({
+    word: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+const HTML_ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// NUL, lone surrogates and anything past U+10FFFF stay as written: fromCodePoint would throw or produce garbage
+const isValidCodePoint = (point: number): boolean =>
+  point > 0 && point <= 0x10ffff && (point < 0xd800 || point > 0xdfff);
+
+/** Readable text of rendered Markdown: tags dropped, valid entities decoded, whitespace collapsed */
+export function htmlToText(html: string): string {
+  return html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/?(p|div|h[1-6]|li|ul|ol|blockquote|pre|br|tr|table)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code: string) => {
+      if (code[0] !== '#') return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isValidCodePoint(point) ? String.fromCodePoint(point) : entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
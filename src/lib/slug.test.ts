@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { asciiSlug, slugify } from './slug';
+
+describe('slugify', () => {
+  it('lowercases and joins words with single hyphens', () => {
+    expect(slugify('AI & Automation')).toBe('ai-automation');
+    expect(slugify('  n8n -- Workflows  ')).toBe('n8n-workflows');
+  });
+
+  it('keeps non-Latin letters and digits as they are', () => {
+    expect(slugify('Новости n8n')).toBe('новости-n8n');
+    expect(slugify('Künstliche Intelligenz')).toBe('künstliche-intelligenz');
+  });
+
+  it('gives the same slug for composed and decomposed spellings', () => {
+    expect(slugify('Cafe\u0301')).toBe(slugify('Caf\u00e9'));
+  });
+
+  it('returns an empty slug for punctuation-only text', () => {
+    expect(slugify('—!?')).toBe('');
+  });
+});
+
+describe('asciiSlug', () => {
+  it('transliterates Russian and German and strips remaining accents', () => {
+    expect(asciiSlug('Крипторынок на подъёме')).toBe('kriptorynok-na-podeme');
+    expect(asciiSlug('Größe & Übersicht')).toBe('groesse-uebersicht');
+    expect(asciiSlug('Café déjà vu')).toBe('cafe-deja-vu');
+  });
+
+  it('cuts long slugs at a word boundary', () => {
+    expect(asciiSlug('alpha beta gamma', 12)).toBe('alpha-beta');
+    expect(asciiSlug('supercalifragilistic', 5)).toBe('super');
+  });
+});
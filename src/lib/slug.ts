@@ -0,0 +1,38 @@
+/**
+ * URL slugs that keep non-Latin letters as they are:
+ * "AI & Automation" → "ai-automation", "Новости n8n" → "новости-n8n".
+ */
+export function slugify(text: string): string {
+  return text
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Russian per the common passport-style romanisation, German umlauts spelled out
+const TRANSLITERATION: Record<string, string> = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss',
+};
+
+/**
+ * ASCII-only slug for file names, cut at a word boundary:
+ * "Крипторынок на подъёме" → "kriptorynok-na-podeme".
+ */
+export function asciiSlug(text: string, maxLength = 80): string {
+  const latin = [...text.normalize('NFC').toLowerCase()]
+    .map((char) => TRANSLITERATION[char] ?? char)
+    .join('')
+    // Remaining accents: "é" → "e"
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '');
+  const slug = latin.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (slug.length <= maxLength) return slug;
+
+  const cut = slug.slice(0, maxLength + 1);
+  const boundary = cut.lastIndexOf('-');
+  return boundary > 0 ? cut.slice(0, boundary) : slug.slice(0, maxLength);
+}
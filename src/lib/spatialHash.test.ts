@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { createRandom } from './random';
+import { MAX_NEIGHBOR_CANDIDATES, SpatialHash, type Point2D } from './spatialHash';
+
+const WIDTH = 1920;
+const HEIGHT = 1080;
+
+function scatter(count: number, seed = 1): Point2D[] {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => ({ x: random() * WIDTH, y: random() * HEIGHT }));
+}
+
+const distance = (a: Point2D, b: Point2D) => Math.hypot(a.x - b.x, a.y - b.y);
+
+describe('SpatialHash', () => {
+  it('visits a bounded number of candidates whatever the radius and point count', () => {
+    const random = createRandom(2);
+
+    for (const count of [800, 5000]) {
+      const points = scatter(count);
+      const hash = new SpatialHash<Point2D>();
+      hash.rebuild(points, WIDTH, HEIGHT);
+
+      let worst = 0;
+      for (let i = 0; i < 200; i++) {
+        // The hero's default connectDistance covers most of a 1080p canvas
+        hash.pickNeighbor(points[i], 500, random);
+        worst = Math.max(worst, hash.lastVisited);
+      }
+      expect(worst).toBe(MAX_NEIGHBOR_CANDIDATES);
+    }
+  });
+
+  it('checks every point in reach when there are fewer than the cap', () => {
+    const points = [{ x: 10, y: 10 }, { x: 20, y: 10 }, { x: 30, y: 10 }, { x: 1900, y: 1000 }];
+    const hash = new SpatialHash<Point2D>();
+    hash.rebuild(points, WIDTH, HEIGHT);
+
+    hash.pickNeighbor(points[0], 40, createRandom(3));
+    expect(hash.lastVisited).toBe(3);
+    expect(hash.pickNeighbor(points[3], 40, createRandom(3))).toBeNull();
+  });
+
+  it('only picks other points within the distance', () => {
+    const points = scatter(800);
+    const hash = new SpatialHash<Point2D>();
+    hash.rebuild(points, WIDTH, HEIGHT);
+    const random = createRandom(4);
+
+    for (const origin of points.slice(0, 100)) {
+      const neighbor = hash.pickNeighbor(origin, 120, random);
+      expect(neighbor).not.toBeNull();
+      expect(neighbor).not.toBe(origin);
+      expect(distance(origin, neighbor!)).toBeLessThanOrEqual(120);
+    }
+  });
+
+  it('samples the whole reach, not just the nearest cells', () => {
+    const points = scatter(800);
+    const hash = new SpatialHash<Point2D>();
+    hash.rebuild(points, WIDTH, HEIGHT);
+    const random = createRandom(5);
+    const origin = points.reduce((best, point) =>
+      distance(point, { x: WIDTH / 2, y: HEIGHT / 2 }) < distance(best, { x: WIDTH / 2, y: HEIGHT / 2 }) ? point : best
+    );
+
+    const distances = Array.from({ length: 400 }, () => distance(origin, hash.pickNeighbor(origin, 500, random)!));
+    // Uniform over a disc: the mean distance is 2/3 of the radius
+    const mean = distances.reduce((sum, value) => sum + value, 0) / distances.length;
+    expect(mean).toBeGreaterThan(280);
+    expect(Math.max(...distances)).toBeGreaterThan(450);
+  });
+
+  it('favours short or long links when asked', () => {
+    const points = scatter(800);
+    const hash = new SpatialHash<Point2D>();
+    hash.rebuild(points, WIDTH, HEIGHT);
+    const meanDistance = (weighting: 'short' | 'long') => {
+      const random = createRandom(6);
+      let total = 0;
+      for (let i = 0; i < 300; i++) {
+        const origin = points[i];
+        total += distance(origin, hash.pickNeighbor(origin, 300, random, weighting)!);
+      }
+      return total / 300;
+    };
+
+    expect(meanDistance('short')).toBeLessThan(meanDistance('long'));
+  });
+
+  it('finds the nearest point within a radius', () => {
+    const points = [{ x: 100, y: 100 }, { x: 130, y: 100 }, { x: 400, y: 400 }];
+    const hash = new SpatialHash<Point2D>();
+    hash.rebuild(points, WIDTH, HEIGHT);
+
+    expect(hash.findNearest({ x: 120, y: 100 }, 50)).toBe(points[1]);
+    expect(hash.findNearest({ x: 250, y: 250 }, 50)).toBeNull();
+  });
+});
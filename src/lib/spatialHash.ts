@@ -0,0 +1,151 @@
+/**
+ * Uniform-grid spatial hash for picking a random neighbour of a point within
+ * a distance, without scanning every point.
+ *
+ * Cells are sized from point density, not from the query radius, so a cell
+ * holds a couple of points however far comets may travel. A neighbour query
+ * visits the cells within reach in random order and stops after a fixed
+ * number of candidates: its cost does not grow with the radius or point count.
+ */
+import { randomIndex, type RandomSource } from './random';
+
+export interface Point2D {
+  x: number;
+  y: number;
+}
+
+/** Which links are favoured when picking a neighbour */
+export type LinkWeighting = 'uniform' | 'short' | 'long';
+
+/** Average number of points per cell */
+const POINTS_PER_CELL = 2;
+
+/** Candidates a neighbour query checks at most */
+export const MAX_NEIGHBOR_CANDIDATES = 48;
+
+const gcd = (a: number, b: number): number => (b === 0 ? a : gcd(b, a % b));
+
+export class SpatialHash<T extends Point2D> {
+  /** Points the last `pickNeighbor` call distance-checked */
+  lastVisited = 0;
+  private cells: T[][] = [];
+  private cols = 0;
+  private rows = 0;
+  private cellSize = 1;
+
+  rebuild(points: readonly T[], width: number, height: number): void {
+    const area = Math.max(1, width * height);
+    this.cellSize = Math.max(1, Math.sqrt((area * POINTS_PER_CELL) / Math.max(1, points.length)));
+    this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+    this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+    this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+
+    for (const point of points) {
+      this.cells[this.cellIndex(point)].push(point);
+    }
+  }
+
+  /**
+   * Random point within `maxDistance` of `origin` (excluding it), or null.
+   * Single pass weighted reservoir sampling over at most `maxCandidates`
+   * points; the cells are walked in a random order, so a capped query still
+   * samples the whole reach rather than the cells nearest the origin.
+   */
+  pickNeighbor(
+    origin: T,
+    maxDistance: number,
+    random: RandomSource,
+    weighting: LinkWeighting = 'uniform',
+    maxCandidates = MAX_NEIGHBOR_CANDIDATES
+  ): T | null {
+    const reach = Math.ceil(maxDistance / this.cellSize);
+    const col = this.colOf(origin.x);
+    const row = this.rowOf(origin.y);
+    const firstCol = Math.max(0, col - reach);
+    const firstRow = Math.max(0, row - reach);
+    const spanCols = Math.min(this.cols - 1, col + reach) - firstCol + 1;
+    const cellCount = spanCols * (Math.min(this.rows - 1, row + reach) - firstRow + 1);
+    const maxDistanceSq = maxDistance * maxDistance;
+
+    // Stepping by a stride coprime with the cell count visits every cell
+    // once, in a shuffled order, without allocating a permutation
+    const start = randomIndex(random, cellCount);
+    let stride = 1 + randomIndex(random, cellCount);
+    while (gcd(stride, cellCount) !== 1) stride++;
+
+    let picked: T | null = null;
+    let totalWeight = 0;
+    let visited = 0;
+
+    for (let i = 0; i < cellCount && visited < maxCandidates; i++) {
+      const cell = (start + i * stride) % cellCount;
+      const cellRow = firstRow + Math.floor(cell / spanCols);
+      const cellCol = firstCol + (cell % spanCols);
+
+      for (const candidate of this.cells[cellRow * this.cols + cellCol]) {
+        if (candidate === origin) continue;
+        if (visited === maxCandidates) break;
+        visited++;
+
+        const dx = candidate.x - origin.x;
+        const dy = candidate.y - origin.y;
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq > maxDistanceSq) continue;
+
+        const weight = linkWeight(Math.sqrt(distanceSq) / maxDistance, weighting);
+        totalWeight += weight;
+        if (random() * totalWeight < weight) picked = candidate;
+      }
+    }
+
+    this.lastVisited = visited;
+    return picked;
+  }
+
+  /**
+   * Closest point to `position` within `maxDistance`, or null.
+   */
+  findNearest(position: Point2D, maxDistance: number): T | null {
+    const reach = Math.ceil(maxDistance / this.cellSize);
+    const col = this.colOf(position.x);
+    const row = this.rowOf(position.y);
+
+    let nearest: T | null = null;
+    let nearestDistanceSq = maxDistance * maxDistance;
+
+    for (let r = Math.max(0, row - reach); r <= Math.min(this.rows - 1, row + reach); r++) {
+      for (let c = Math.max(0, col - reach); c <= Math.min(this.cols - 1, col + reach); c++) {
+        for (const candidate of this.cells[r * this.cols + c]) {
+          const dx = candidate.x - position.x;
+          const dy = candidate.y - position.y;
+          const distanceSq = dx * dx + dy * dy;
+          if (distanceSq <= nearestDistanceSq) {
+            nearest = candidate;
+            nearestDistanceSq = distanceSq;
+          }
+        }
+      }
+    }
+
+    return nearest;
+  }
+
+  private colOf(x: number): number {
+    return Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+  }
+
+  private rowOf(y: number): number {
+    return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+  }
+
+  private cellIndex(point: Point2D): number {
+    return this.rowOf(point.y) * this.cols + this.colOf(point.x);
+  }
+}
+
+// `ratio` is distance / maxDistance ∈ [0, 1]; the floor keeps every link possible
+const linkWeight = (ratio: number, weighting: LinkWeighting): number => {
+  if (weighting === 'short') return Math.max(0.05, 1 - ratio);
+  if (weighting === 'long') return Math.max(0.05, ratio);
+  return 1;
+};
@@ -0,0 +1,47 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { splitText } from './splitText';
+
+const texts = (text: string, options?: Parameters<typeof splitText>[1]) =>
+  splitText(text, options).map((segment) => segment.text);
+
+describe('splitText', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('splits into graphemes by default, keeping emoji sequences and combining marks whole', () => {
+    expect(texts('Hi 👋🏽')).toEqual(['H', 'i', ' ', '👋🏽']);
+    expect(texts('é!')).toEqual(['é', '!']);
+    expect(texts('👨‍👩‍👧')).toHaveLength(1);
+  });
+
+  it('marks whitespace units as spaces', () => {
+    expect(splitText('a b')).toEqual([
+      { text: 'a', isSpace: false },
+      { text: ' ', isSpace: true },
+      { text: 'b', isSpace: false },
+    ]);
+  });
+
+  it('splits into words and the separators between them', () => {
+    expect(texts('Run swift, studio', { by: 'word', locale: 'en' })).toEqual([
+      'Run', ' ', 'swift', ',', ' ', 'studio',
+    ]);
+  });
+
+  it('splits into lines on explicit line breaks only', () => {
+    expect(splitText('one two\r\nthree', { by: 'line' })).toEqual([
+      { text: 'one two', isSpace: false },
+      { text: 'three', isSpace: false },
+    ]);
+  });
+
+  describe('without Intl.Segmenter', () => {
+    it('falls back to code points and whitespace boundaries', () => {
+      vi.stubGlobal('Intl', { ...Intl, Segmenter: undefined });
+
+      expect(texts('a👋🏽')).toEqual(['a', '👋', '🏽']);
+      expect(texts('run  swift', { by: 'word' })).toEqual(['run', '  ', 'swift']);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Text splitting for per-letter animations.
+ *
+ *   splitText('Привет 👋🏽')            → graphemes: 'П', 'р', …, ' ', '👋🏽'
+ *   splitText(text, { by: 'word' })     → words and the separators between them
+ *   splitText(text, { by: 'line' })     → lines (explicit line breaks)
+ *
+ * Graphemes and words come from Intl.Segmenter, so emoji sequences, combining
+ * marks and locale word rules stay intact. Without Intl.Segmenter, graphemes
+ * fall back to code points and words to whitespace boundaries.
+ *
+ * `splitElementText` applies the same split to existing DOM text (for markup
+ * React does not own) and returns a function that restores the original nodes.
+ */
+
+export type SplitBy = 'grapheme' | 'word' | 'line';
+
+export interface SplitOptions {
+  by?: SplitBy;
+  /** BCP 47 tag for word rules, defaults to the runtime locale */
+  locale?: string;
+}
+
+export interface TextSegment {
+  text: string;
+  /** Whitespace between units: rendered, but not animated */
+  isSpace: boolean;
+}
+
+const WHITESPACE = /^\s+$/;
+
+const hasSegmenter = () => typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function';
+
+const toSegment = (text: string): TextSegment => ({ text, isSpace: WHITESPACE.test(text) });
+
+export function splitText(text: string, { by = 'grapheme', locale }: SplitOptions = {}): TextSegment[] {
+  if (by === 'line') {
+    return text.split(/\r?\n/).map((line) => ({ text: line, isSpace: false }));
+  }
+
+  if (hasSegmenter()) {
+    const segmenter = new Intl.Segmenter(locale, { granularity: by });
+    return Array.from(segmenter.segment(text), ({ segment }) => toSegment(segment));
+  }
+
+  if (by === 'word') return text.split(/(\s+)/).filter(Boolean).map(toSegment);
+  return Array.from(text, toSegment);
+}
+
+export interface SplitElementOptions extends SplitOptions {
+  /** Class for each animated unit */
+  unitClass?: string;
+  /** Class added to whitespace units */
+  spaceClass?: string;
+}
+
+/**
+ * Wraps every unit of the element's text in a `<span aria-hidden="true">`,
+ * keeping nested elements in place, and labels the element with its full text
+ * for screen readers. Returns a function that puts the original DOM back.
+ */
+export function splitElementText(
+  element: HTMLElement,
+  { unitClass = 'letter', spaceClass = 'letter--space', ...options }: SplitElementOptions = {}
+): () => void {
+  const previousLabel = element.getAttribute('aria-label');
+  const replaced: { original: Text; parts: Node[] }[] = [];
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes: Text[] = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode as Text);
+
+  for (const original of textNodes) {
+    const text = original.data;
+    if (!text.trim()) continue;
+
+    const parts: Node[] = splitText(text, options).map(({ text: unit, isSpace }, i, segments) => {
+      const span = document.createElement('span');
+      span.className = isSpace ? `${unitClass} ${spaceClass}` : unitClass;
+      span.setAttribute('aria-hidden', 'true');
+      span.textContent = unit;
+      if (options.by === 'line' && i < segments.length - 1) span.style.display = 'block';
+      return span;
+    });
+    original.replaceWith(...parts);
+    replaced.push({ original, parts });
+  }
+
+  if (previousLabel === null) element.setAttribute('aria-label', element.textContent?.trim() ?? '');
+
+  return () => {
+    for (const { original, parts } of replaced) {
+      parts[0].parentNode?.replaceChild(original, parts[0]);
+      parts.slice(1).forEach((part) => part.parentNode?.removeChild(part));
+    }
+    if (previousLabel === null) element.removeAttribute('aria-label');
+  };
+}
@@ -1,7 +1,26 @@
 import { defineMiddleware } from "astro/middleware";
+import { defaultLocale, enabledLocaleCodes } from "./i18n/locales";
+import { LOCALE_COOKIE, negotiateLocale } from "./i18n/negotiate";
 
 export const onRequest = defineMiddleware(async (context, next) => {
-  // For now, we just pass the request through.
-  // We handle routing via the [lang] folder structure.
-  return next();
-});
\ No newline at end of file
+  // "/" is only rendered on demand when astro.config.mjs sets an adapter;
+  // prerendered, it has no request headers and negotiates in the browser.
+  if (context.isPrerendered || context.url.pathname !== '/') {
+    return next();
+  }
+
+  const locale = negotiateLocale({
+    cookie: context.cookies.get(LOCALE_COOKIE)?.value,
+    acceptLanguage: context.request.headers.get('accept-language'),
+    locales: enabledLocaleCodes,
+    defaultLocale,
+  });
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      Location: `/${locale}${context.url.search}`,
+      Vary: 'Accept-Language, Cookie',
+    },
+  });
+});
@@ -0,0 +1,4 @@
+import { articleFeed, getFeedStaticPaths } from '../../../lib/articleFeeds';
+
+export const getStaticPaths = getFeedStaticPaths;
+export const GET = articleFeed('blog', 'json');
@@ -0,0 +1,30 @@
+import type { APIRoute } from 'astro';
+import { enabledLocales, isEnabledLocale } from '../../i18n/locales';
+import { localizePath } from '../../i18n/routes';
+import { articlePath, getArticles, localizeArticles } from '../../lib/articles';
+import { buildSearchIndex, htmlToText, type SearchDocument } from '../../lib/search';
+
+export function getStaticPaths() {
+  return enabledLocales.map(({ code }) => ({ params: { lang: code } }));
+}
+
+/** Search index of one locale's blog posts and news, fetched by components/Search.tsx */
+export const GET: APIRoute = async ({ params }) => {
+  const { lang } = params;
+  if (!isEnabledLocale(lang)) return new Response(null, { status: 404 });
+
+  const entries = [...await getArticles('blog'), ...await getArticles('news')];
+  const docs = localizeArticles(entries, lang).articles.map((entry): SearchDocument => ({
+    collection: entry.collection,
+    url: localizePath(lang, articlePath(entry)),
+    title: entry.data.title,
+    description: entry.data.description,
+    tags: entry.data.tags,
+    date: entry.data.pubDate.toISOString().slice(0, 10),
+    text: htmlToText(entry.rendered?.html ?? ''),
+  }));
+
+  return new Response(JSON.stringify(buildSearchIndex(lang, docs)), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+};
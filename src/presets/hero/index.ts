@@ -0,0 +1,51 @@
+/**
+ * Named presets for the hero effects: InteractiveNetwork props under `network`,
+ * useFallingLetters options under `letters`. Each preset is a plain JSON file,
+ * which is also what the dev tuning panel exports.
+ *
+ *   <Hero preset="festive" />
+ */
+import type { CometNetworkOptions } from '../../lib/cometNetwork/simulation';
+import calm from './calm.json';
+import defaultPreset from './default.json';
+import festive from './festive.json';
+
+export interface HeroNetworkPreset extends Partial<CometNetworkOptions> {
+  /** Comet colours per theme, any CSS colours */
+  palettes?: { dark?: string[]; light?: string[] };
+  interactive?: boolean;
+  maxPixelRatio?: number;
+}
+
+export interface HeroLettersPreset {
+  entranceDelay?: number;
+  staggerDelay?: number;
+  fallDistance?: number;
+  maxHorizontalDrift?: number;
+  maxRotation?: number;
+  scrub?: number | boolean;
+  /** ScrollTrigger start / end */
+  start?: string;
+  end?: string;
+  pin?: boolean;
+  effect?: 'fall' | 'scatter' | 'explode';
+  reassemble?: boolean;
+  splitBy?: 'grapheme' | 'word' | 'line';
+  seed?: number;
+}
+
+export interface HeroPreset {
+  network: HeroNetworkPreset;
+  letters: HeroLettersPreset;
+}
+
+// JSON imports widen string literals ('curve' → string), hence the cast
+export const heroPresets = { calm, default: defaultPreset, festive } as Record<string, HeroPreset>;
+
+export type HeroPresetName = 'calm' | 'default' | 'festive';
+
+export const defaultHeroPreset: HeroPresetName = 'default';
+
+/** Unknown names fall back to the default preset */
+export const getHeroPreset = (name: string = defaultHeroPreset): HeroPreset =>
+  heroPresets[name] ?? heroPresets[defaultHeroPreset];
@@ -0,0 +1,40 @@
+/**
+ * Theme store shared by every island and the inline anti-flash script.
+ *
+ *   getTheme()          → { preference: 'light' | 'dark' | 'system', theme: 'light' | 'dark' }
+ *   setTheme('system')  → saves the preference and updates <html data-theme>
+ *   subscribe(listener) → returns an unsubscribe function
+ *
+ * Built on createPreferenceStore (./preference), like the motion store.
+ */
+
+import { createPreferenceStore } from './preference';
+
+export type ThemePreference = 'light' | 'dark' | 'system';
+export type Theme = 'light' | 'dark';
+
+export interface ThemeState {
+  preference: ThemePreference;
+  theme: Theme;
+}
+
+const store = createPreferenceStore<Theme, ThemeState>({
+  storageKey: 'theme',
+  mediaQuery: '(prefers-color-scheme: dark)',
+  attribute: 'data-theme',
+  matches: 'dark',
+  otherwise: 'light',
+  // Layout.astro ships `data-theme="dark"`
+  serverValue: 'dark',
+  toState: (preference, theme) => ({ preference, theme }),
+});
+
+/** What the server renders */
+export const serverThemeState: ThemeState = store.serverState;
+
+/** Source of the inline script in Layout.astro */
+export const themeInitScript = store.initScript;
+
+export const getTheme = store.get;
+export const setTheme = store.set;
+export const subscribe = store.subscribe;
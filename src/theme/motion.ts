@@ -0,0 +1,42 @@
+/**
+ * Motion policy store, kept next to the theme and built on the same factory.
+ *
+ *   getMotion()          → { preference: 'reduce' | 'full' | 'system', reduced: boolean }
+ *   setMotion('reduce')  → saves the override and updates <html data-motion>
+ *   subscribe(listener)  → returns an unsubscribe function
+ *
+ * `system` follows `prefers-reduced-motion`, including live OS changes.
+ */
+
+import { createPreferenceStore } from './preference';
+
+export type MotionPreference = 'reduce' | 'full' | 'system';
+
+export interface MotionState {
+  preference: MotionPreference;
+  reduced: boolean;
+}
+
+const store = createPreferenceStore<'reduce' | 'full', MotionState>({
+  storageKey: 'motion',
+  mediaQuery: '(prefers-reduced-motion: reduce)',
+  attribute: 'data-motion',
+  matches: 'reduce',
+  otherwise: 'full',
+  // Full motion until the client knows better
+  serverValue: 'full',
+  toState: (preference, value) => ({ preference, reduced: value === 'reduce' }),
+});
+
+/** What the server renders */
+export const serverMotionState: MotionState = store.serverState;
+
+/**
+ * Source of the inline script in Layout.astro, so CSS can use
+ * `[data-motion="reduce"]` from the first paint.
+ */
+export const motionInitScript = store.initScript;
+
+export const getMotion = store.get;
+export const setMotion = store.set;
+export const subscribe = store.subscribe;
@@ -0,0 +1,140 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createPreferenceStore } from './preference';
+
+type Mode = 'on' | 'off';
+
+const fakeBrowser = (initial: Record<string, string> = {}) => {
+  const storage = new Map(Object.entries(initial));
+  const attributes = new Map<string, string>();
+  const mediaListeners: (() => void)[] = [];
+  const storageListeners: ((event: { key: string | null }) => void)[] = [];
+  const media = {
+    matches: false,
+    addEventListener: (_type: string, listener: () => void) => mediaListeners.push(listener),
+  };
+
+  vi.stubGlobal('localStorage', {
+    getItem: (key: string) => storage.get(key) ?? null,
+    setItem: (key: string, value: string) => storage.set(key, value),
+    removeItem: (key: string) => storage.delete(key),
+  });
+  vi.stubGlobal('document', {
+    documentElement: { setAttribute: (name: string, value: string) => attributes.set(name, value) },
+  });
+  vi.stubGlobal('window', {
+    matchMedia: () => media,
+    addEventListener: (_type: string, listener: (event: { key: string | null }) => void) =>
+      storageListeners.push(listener),
+  });
+
+  return {
+    storage,
+    attributes,
+    setMatches(matches: boolean) {
+      media.matches = matches;
+      mediaListeners.forEach((listener) => listener());
+    },
+    otherTab(key: string, value: string | null) {
+      if (value === null) storage.delete(key);
+      else storage.set(key, value);
+      storageListeners.forEach((listener) => listener({ key }));
+    },
+  };
+};
+
+const createStore = () =>
+  createPreferenceStore<Mode, { preference: Mode | 'system'; on: boolean }>({
+    storageKey: 'mode',
+    mediaQuery: '(prefers-mode: on)',
+    attribute: 'data-mode',
+    matches: 'on',
+    otherwise: 'off',
+    serverValue: 'off',
+    toState: (preference, value) => ({ preference, on: value === 'on' }),
+  });
+
+describe('createPreferenceStore', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('returns the server state outside the browser', () => {
+    const store = createStore();
+    expect(store.get()).toEqual({ preference: 'system', on: false });
+    expect(store.get()).toBe(store.serverState);
+  });
+
+  describe('in the browser', () => {
+    let browser: ReturnType<typeof fakeBrowser>;
+
+    beforeEach(() => {
+      browser = fakeBrowser();
+    });
+
+    it('follows the media query in system mode', () => {
+      const store = createStore();
+      expect(store.get()).toEqual({ preference: 'system', on: false });
+      expect(browser.attributes.get('data-mode')).toBe('off');
+
+      browser.setMatches(true);
+      expect(store.get()).toEqual({ preference: 'system', on: true });
+      expect(browser.attributes.get('data-mode')).toBe('on');
+    });
+
+    it('keeps the snapshot stable until something changes', () => {
+      const store = createStore();
+      const first = store.get();
+      store.set('system');
+      expect(store.get()).toBe(first);
+
+      store.set('on');
+      expect(store.get()).not.toBe(first);
+    });
+
+    it('saves overrides and ignores the media query while pinned', () => {
+      const store = createStore();
+      store.set('on');
+      expect(browser.storage.get('mode')).toBe('on');
+
+      browser.setMatches(false);
+      expect(store.get()).toEqual({ preference: 'on', on: true });
+
+      store.set('system');
+      expect(browser.storage.has('mode')).toBe(false);
+      expect(store.get()).toEqual({ preference: 'system', on: false });
+    });
+
+    it('notifies subscribers and follows other tabs', () => {
+      const store = createStore();
+      const listener = vi.fn();
+      const unsubscribe = store.subscribe(listener);
+
+      browser.otherTab('mode', 'on');
+      expect(listener).toHaveBeenLastCalledWith({ preference: 'on', on: true });
+
+      unsubscribe();
+      browser.otherTab('mode', null);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(store.get()).toEqual({ preference: 'system', on: false });
+    });
+
+    it('treats unknown saved values as system', () => {
+      browser.storage.set('mode', 'sideways');
+      expect(createStore().get().preference).toBe('system');
+    });
+  });
+
+  it('builds an init script that resolves the value the same way', () => {
+    const run = (saved: Record<string, string>, matches: boolean) => {
+      const browser = fakeBrowser(saved);
+      browser.setMatches(matches);
+      new Function(createStore().initScript)();
+      return browser.attributes.get('data-mode');
+    };
+
+    expect(run({}, true)).toBe('on');
+    expect(run({}, false)).toBe('off');
+    expect(run({ mode: 'off' }, true)).toBe('off');
+    expect(run({ mode: 'sideways' }, true)).toBe('on');
+  });
+});
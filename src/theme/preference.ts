@@ -0,0 +1,115 @@
+/**
+ * Factory behind the theme and motion stores: a two-valued setting that the
+ * user can pin or leave on `system`, where it follows a media query.
+ *
+ *   get()               → the current state, stable between changes
+ *   set('system')       → saves the preference and updates <html [attribute]>
+ *   subscribe(listener) → returns an unsubscribe function
+ *   initScript          → inline source for Layout.astro that sets the attribute
+ *                         before first paint
+ *
+ * Follows OS changes in `system` mode and other tabs through the `storage` event.
+ */
+
+export interface PreferenceStoreConfig<V extends string, S> {
+  /** localStorage key; `system` is stored as a missing key */
+  storageKey: string;
+  mediaQuery: string;
+  /** Attribute on <html> that mirrors the resolved value, e.g. `data-theme` */
+  attribute: string;
+  /** Value used in `system` mode while the media query matches */
+  matches: V;
+  /** Value used in `system` mode otherwise */
+  otherwise: V;
+  /** Value the server renders before the client knows better */
+  serverValue: V;
+  /** Public state shape; called only when the preference or value changes */
+  toState: (preference: V | 'system', value: V) => S;
+}
+
+export interface PreferenceStore<V extends string, S> {
+  serverState: S;
+  initScript: string;
+  get: () => S;
+  set: (preference: V | 'system') => void;
+  subscribe: (listener: (state: S) => void) => () => void;
+}
+
+export const createPreferenceStore = <V extends string, S>(
+  config: PreferenceStoreConfig<V, S>,
+): PreferenceStore<V, S> => {
+  const { storageKey, mediaQuery, attribute, matches, otherwise, toState } = config;
+  const values: readonly V[] = [matches, otherwise];
+
+  const serverState = toState('system', config.serverValue);
+
+  // Runs before first paint, so it cannot import this module — it is built from the config instead
+  const initScript = `(() => {
+  const saved = localStorage.getItem(${JSON.stringify(storageKey)});
+  const value = ${JSON.stringify(values)}.includes(saved)
+    ? saved
+    : window.matchMedia(${JSON.stringify(mediaQuery)}).matches ? ${JSON.stringify(matches)} : ${JSON.stringify(otherwise)};
+  document.documentElement.setAttribute(${JSON.stringify(attribute)}, value);
+})();`;
+
+  const listeners = new Set<(state: S) => void>();
+  let current: { preference: V | 'system'; value: V; state: S } | null = null;
+  let media: MediaQueryList | null = null;
+
+  const parsePreference = (saved: string | null): V | 'system' =>
+    values.includes(saved as V) ? (saved as V) : 'system';
+
+  const resolveValue = (preference: V | 'system'): V => {
+    if (preference !== 'system') return preference;
+    return media?.matches ? matches : otherwise;
+  };
+
+  const update = (preference: V | 'system') => {
+    const value = resolveValue(preference);
+    document.documentElement.setAttribute(attribute, value);
+
+    if (current && current.preference === preference && current.value === value) return;
+    const state = toState(preference, value);
+    current = { preference, value, state };
+    listeners.forEach((listener) => listener(state));
+  };
+
+  const init = (): S => {
+    if (current) return current.state;
+    if (typeof window === 'undefined') return serverState;
+
+    media = window.matchMedia(mediaQuery);
+    media.addEventListener('change', () => {
+      if (current?.preference === 'system') update('system');
+    });
+
+    window.addEventListener('storage', (event) => {
+      if (event.key === storageKey || event.key === null) {
+        update(parsePreference(localStorage.getItem(storageKey)));
+      }
+    });
+
+    update(parsePreference(localStorage.getItem(storageKey)));
+    return current!.state;
+  };
+
+  const set = (preference: V | 'system') => {
+    init();
+    if (preference === 'system') {
+      localStorage.removeItem(storageKey);
+    } else {
+      localStorage.setItem(storageKey, preference);
+    }
+    update(preference);
+  };
+
+  const subscribe = (listener: (state: S) => void): (() => void) => {
+    init();
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  return { serverState, initScript, get: init, set, subscribe };
+};
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vitest/config';
+
+// Unit tests live next to the modules they cover: src/lib/color.ts → src/lib/color.test.ts
+export default defineConfig({
+  test: {
+    include: ['src/**/*.test.ts', 'scripts/**/*.test.ts'],
+  },
+});